@@ -1,6 +1,10 @@
 const { Pool } = require('pg');
 
+// Device locks held at once on this replica; more events for other devices queue in memory
+const DEVICE_LOCK_CONCURRENCY = parseInt(process.env.DEVICE_LOCK_CONCURRENCY || '8', 10);
+
 let pool;
+let lockPool;
 
 function getPool() {
   if (!pool) {
@@ -33,6 +37,44 @@ function getPool() {
   return pool;
 }
 
+/**
+ * Separate pool for connections that hold advisory locks (per-device locks,
+ * leader election) for the length of a task, so lock holders can't starve the
+ * main pool the task itself queries through.
+ */
+function getLockPool() {
+  if (!lockPool) {
+    lockPool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+      // Room for every device lock plus the leader election and job locks
+      max: parseInt(process.env.LOCK_POOL_MAX || String(DEVICE_LOCK_CONCURRENCY + 4), 10),
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 30000,
+      // Bounds how long a pg_advisory_lock call waits for another holder
+      statement_timeout: parseInt(process.env.LOCK_WAIT_TIMEOUT_MS || '30000', 10),
+      keepAlive: true,
+      keepAliveInitialDelayMillis: 10000
+    });
+
+    lockPool.on('error', (err) => {
+      console.error('Unexpected error on idle lock client', err);
+    });
+  }
+  return lockPool;
+}
+
+/**
+ * Connection counts for the pools created so far (the lock pool is lazy)
+ */
+function getPoolStats() {
+  const stats = {};
+  for (const [name, p] of [['main', pool], ['lock', lockPool]]) {
+    if (p) stats[name] = { total: p.totalCount, idle: p.idleCount, waiting: p.waitingCount };
+  }
+  return stats;
+}
+
 async function initDatabase() {
   const pool = getPool();
   
@@ -47,6 +89,10 @@ async function initDatabase() {
 }
 
 async function closePool() {
+  if (lockPool) {
+    await lockPool.end();
+    lockPool = null;
+  }
   if (pool) {
     await pool.end();
     pool = null;
@@ -54,4 +100,4 @@ async function closePool() {
   }
 }
 
-module.exports = { getPool, initDatabase, closePool };
\ No newline at end of file
+module.exports = { getPool, getLockPool, getPoolStats, initDatabase, closePool, DEVICE_LOCK_CONCURRENCY };
\ No newline at end of file
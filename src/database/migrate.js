@@ -1,192 +1,290 @@
-const { getPool } = require('./db');
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getPool, closePool } = require('./db');
 
-async function runMigrations() {
-  const pool = getPool();
-  const client = await pool.connect();
-  
+/**
+ * Versioned schema migrations.
+ *
+ * Each file in migrations/ is named NNNN_description.sql and holds a
+ * `-- migrate:up` section and optionally a `-- migrate:down` section (without
+ * one the migration can't be rolled back). Applied versions are recorded in
+ * schema_migrations with a checksum of the file, and an applied file that has
+ * since been edited or deleted stops every command: change the schema with a
+ * new migration instead.
+ *
+ *   npm run migrate                     apply all pending migrations
+ *   npm run migrate -- up 3             apply pending migrations up to version 3
+ *   npm run migrate:down [-- steps]     roll back the last applied migration(s)
+ *   npm run migrate:status              list applied and pending migrations
+ *
+ * Each migration runs in its own transaction, and a session advisory lock
+ * keeps replicas deploying at the same time from migrating concurrently.
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+// Single-key advisory lock, a separate key space from coordination.js's two-key locks
+const MIGRATION_LOCK_ID = 5100;
+
+let migrationFiles;
+
+function parseMigration(file) {
+  const [, version, name] = file.match(FILE_PATTERN);
+  const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8').replace(/\r\n/g, '\n');
+
+  const upMatch = source.match(UP_MARKER);
+  if (!upMatch) throw new Error(`${file} has no "-- migrate:up" section`);
+
+  const afterUp = source.slice(upMatch.index + upMatch[0].length);
+  const downMatch = afterUp.match(DOWN_MARKER);
+  const up = (downMatch ? afterUp.slice(0, downMatch.index) : afterUp).trim();
+  const down = downMatch ? afterUp.slice(downMatch.index + downMatch[0].length).trim() : '';
+
+  return {
+    version: parseInt(version, 10),
+    name,
+    file,
+    up,
+    down: down || null,
+    checksum: crypto.createHash('sha256').update(source).digest('hex')
+  };
+}
+
+/**
+ * Migration files in version order (read once; they don't change at runtime)
+ */
+function loadMigrations() {
+  if (migrationFiles) return migrationFiles;
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => FILE_PATTERN.test(file))
+    .map(parseMigration)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  migrationFiles = migrations;
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      execution_ms INTEGER
+    )
+  `);
+}
+
+/**
+ * Compares migration files with schema_migrations (read-only; a database
+ * without the table has nothing applied).
+ * - applied: recorded versions, with the file's checksum check
+ * - pending: files not yet applied
+ * - modified: applied versions whose file changed since
+ * - missing: applied versions with no file in this release
+ */
+async function getMigrationStatus(db = getPool()) {
+  const migrations = loadMigrations();
+  const exists = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  const rows = exists.rows[0].exists
+    ? (await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version')).rows
+    : [];
+
+  const files = new Map(migrations.map((m) => [m.version, m]));
+  const appliedVersions = new Set(rows.map((row) => row.version));
+
+  const applied = rows.map((row) => {
+    const file = files.get(row.version);
+    return { ...row, file: file?.file || null, modified: Boolean(file && file.checksum !== row.checksum) };
+  });
+
+  return {
+    current: rows.length > 0 ? rows[rows.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter((m) => !appliedVersions.has(m.version)),
+    modified: applied.filter((row) => row.modified),
+    missing: applied.filter((row) => !row.file)
+  };
+}
+
+function describeProblems(status) {
+  const problems = [];
+  for (const row of status.modified) problems.push(`${row.file} was changed after it was applied`);
+  for (const row of status.missing) problems.push(`applied migration ${row.version}_${row.name} has no file`);
+  return problems;
+}
+
+/**
+ * Runs fn on a dedicated connection holding the migration lock
+ */
+async function withMigrationLock(fn) {
+  const client = await getPool().connect();
   try {
-    await client.query('BEGIN');
-    
-    console.log('Running migrations...');
-    
-    // Device Status Table - CREATE IF NOT EXISTS
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS device_status (
-        device_key TEXT PRIMARY KEY,
-        frontend_id TEXT,
-        mac_id TEXT,
-        device_name TEXT NOT NULL,
-        units TEXT DEFAULT 'F',
-        location_id TEXT,
-        workspace_id TEXT,
-        is_running BOOLEAN DEFAULT false,
-        session_started_at TIMESTAMPTZ,
-        current_mode TEXT,
-        current_equipment_status TEXT,
-        last_temperature DECIMAL(5,2),
-        last_heat_setpoint DECIMAL(5,2),
-        last_cool_setpoint DECIMAL(5,2),
-        last_fan_status TEXT DEFAULT 'OFF',
-        last_equipment_status TEXT,
-        last_mode TEXT,
-        last_was_cooling BOOLEAN DEFAULT false,
-        last_was_heating BOOLEAN DEFAULT false,
-        last_was_fan_only BOOLEAN DEFAULT false,
-        is_reachable BOOLEAN DEFAULT true,
-        last_seen_at TIMESTAMPTZ,
-        last_activity_at TIMESTAMPTZ,
-        last_post_at TIMESTAMPTZ,
-        last_staleness_notification TIMESTAMPTZ,
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        updated_at TIMESTAMPTZ DEFAULT NOW(),
-        room_display_name TEXT,
-        last_fan_tail_until TIMESTAMPTZ
-      )
-    `);
-
-    // Add missing columns for device metadata (safe if columns already exist)
-    console.log('Adding missing device metadata columns...');
-
-    // Helper to add column if it doesn't exist
-    const addColumnIfNotExists = async (tableName, columnName, columnType) => {
-      try {
-        await client.query(`
-          ALTER TABLE ${tableName}
-          ADD COLUMN IF NOT EXISTS ${columnName} ${columnType}
-        `);
-      } catch (err) {
-        // Ignore if column already exists
-        if (!err.message.includes('already exists')) {
-          console.error(`Error adding column ${columnName}:`, err.message);
-        }
-      }
-    };
-
-    await addColumnIfNotExists('device_status', 'custom_name', 'TEXT');
-    await addColumnIfNotExists('device_status', 'parent_resource', 'TEXT');
-    await addColumnIfNotExists('device_status', 'temperature_scale', 'TEXT');
-    await addColumnIfNotExists('device_status', 'eco_mode', 'TEXT DEFAULT \'OFF\'');
-    await addColumnIfNotExists('device_status', 'eco_heat_celsius', 'DECIMAL(5,2)');
-    await addColumnIfNotExists('device_status', 'eco_cool_celsius', 'DECIMAL(5,2)');
-    await addColumnIfNotExists('device_status', 'firmware_version', 'TEXT');
-    await addColumnIfNotExists('device_status', 'serial_number', 'TEXT');
-    await addColumnIfNotExists('device_status', 'last_humidity', 'DECIMAL(5,2)');
-    await addColumnIfNotExists('device_status', 'bubble_user_id', 'TEXT');
-    
-    // OAuth Tokens Table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS oauth_tokens (
-        user_id TEXT PRIMARY KEY,
-        access_token TEXT NOT NULL,
-        refresh_token TEXT,
-        expires_at TIMESTAMPTZ,
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        updated_at TIMESTAMPTZ DEFAULT NOW()
-      )
-    `);
-    
-    // Equipment Events Table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS equipment_events (
-        id SERIAL PRIMARY KEY,
-        device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
-        event_type TEXT NOT NULL,
-        equipment_status TEXT,
-        previous_status TEXT,
-        is_active BOOLEAN DEFAULT false,
-        session_id UUID,
-        event_data JSONB,
-        recorded_at TIMESTAMPTZ DEFAULT NOW()
-      )
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_equipment_events_device_key 
-      ON equipment_events(device_key)
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_equipment_events_session_id 
-      ON equipment_events(session_id)
-    `);
-    
-    // Runtime Sessions Table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS runtime_sessions (
-        id SERIAL PRIMARY KEY,
-        device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
-        session_id UUID NOT NULL UNIQUE,
-        mode TEXT NOT NULL,
-        equipment_status TEXT,
-        started_at TIMESTAMPTZ NOT NULL,
-        ended_at TIMESTAMPTZ,
-        duration_seconds INTEGER DEFAULT 0,
-        start_temperature DECIMAL(5,2),
-        end_temperature DECIMAL(5,2),
-        heat_setpoint DECIMAL(5,2),
-        cool_setpoint DECIMAL(5,2),
-        tick_count INTEGER DEFAULT 0,
-        last_tick_at TIMESTAMPTZ,
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        updated_at TIMESTAMPTZ DEFAULT NOW()
-      )
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_runtime_sessions_device_key 
-      ON runtime_sessions(device_key)
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_runtime_sessions_session_id 
-      ON runtime_sessions(session_id)
-    `);
-    
-    // Temperature Readings Table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS temp_readings (
-        id SERIAL PRIMARY KEY,
-        device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
-        temperature DECIMAL(5,2) NOT NULL,
-        units TEXT DEFAULT 'F',
-        event_type TEXT,
-        session_id UUID,
-        recorded_at TIMESTAMPTZ DEFAULT NOW()
-      )
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_temp_readings_device_key 
-      ON temp_readings(device_key)
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_temp_readings_session_id
-      ON temp_readings(session_id)
-    `);
-
-    // Index for bubble_user_id lookup (for polling queries)
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_device_status_bubble_user_id
-      ON device_status(bubble_user_id)
-    `);
+    // Backfills can outlast the pool's statement_timeout, and the lock waits for another migrator
+    await client.query('SET statement_timeout = 0');
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      await client.query('RESET statement_timeout');
+    }
+  } finally {
+    client.release();
+  }
+}
 
+async function applyMigration(client, migration, direction) {
+  const started = Date.now();
+  await client.query('BEGIN');
+  try {
+    if (direction === 'up') {
+      await client.query(migration.up);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+        [migration.version, migration.name, migration.checksum, Date.now() - started]
+      );
+    } else {
+      await client.query(migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
     await client.query('COMMIT');
-    console.log('✓ All migrations completed successfully');
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Migration failed:', error);
-    throw error;
-  } finally {
-    client.release();
-    await pool.end();
+    throw new Error(`${migration.file} (${direction}) failed: ${error.message}`);
+  }
+  console.log(`✓ ${direction === 'up' ? 'Applied' : 'Rolled back'} ${migration.file} (${Date.now() - started}ms)`);
+}
+
+/**
+ * Applies pending migrations in version order, up to targetVersion if given.
+ * Resolves to the migrations applied.
+ */
+async function runMigrations(targetVersion = Infinity) {
+  return withMigrationLock(async (client) => {
+    const status = await getMigrationStatus(client);
+    const problems = describeProblems(status);
+    if (problems.length > 0) throw new Error(`Refusing to migrate: ${problems.join('; ')}`);
+
+    const toApply = status.pending.filter((m) => m.version <= targetVersion);
+    if (toApply.length === 0) {
+      console.log(`✓ Schema is up to date (version ${status.current})`);
+      return [];
+    }
+
+    console.log(`Applying ${toApply.length} migration(s)...`);
+    for (const migration of toApply) {
+      await applyMigration(client, migration, 'up');
+    }
+    console.log('✓ All migrations completed successfully');
+    return toApply;
+  });
+}
+
+/**
+ * Rolls back the last `steps` applied migrations, newest first. Nothing is
+ * rolled back if any of them has no down section.
+ */
+async function rollbackMigrations(steps = 1) {
+  return withMigrationLock(async (client) => {
+    const status = await getMigrationStatus(client);
+    const files = new Map(loadMigrations().map((m) => [m.version, m]));
+    const toRollBack = status.applied.slice(-steps).reverse();
+
+    // Check every step before changing anything
+    const rolledBack = toRollBack.map((row) => {
+      const migration = files.get(row.version);
+      if (!migration) throw new Error(`Can't roll back ${row.version}_${row.name}: no migration file`);
+      if (row.modified) throw new Error(`Can't roll back ${migration.file}: changed after it was applied`);
+      if (!migration.down) throw new Error(`Can't roll back ${migration.file}: it has no down section`);
+      return migration;
+    });
+
+    for (const migration of rolledBack) {
+      await applyMigration(client, migration, 'down');
+    }
+    return rolledBack;
+  });
+}
+
+/**
+ * Startup guard: throws unless every migration in this release is applied and
+ * no applied migration was changed or removed
+ */
+async function assertMigrationsCurrent() {
+  const status = await getMigrationStatus();
+  const problems = describeProblems(status);
+  if (status.pending.length > 0) {
+    problems.unshift(`pending migration(s) ${status.pending.map((m) => m.file).join(', ')} (run npm run migrate)`);
+  }
+  if (problems.length > 0) throw new Error(`Database schema not ready: ${problems.join('; ')}`);
+  return status;
+}
+
+async function printStatus() {
+  const status = await getMigrationStatus();
+  const pending = new Set(status.pending.map((m) => m.version));
+  const applied = new Map(status.applied.map((row) => [row.version, row]));
+
+  console.log(`Schema version ${status.current}, latest ${status.latest}\n`);
+  for (const migration of loadMigrations()) {
+    const row = applied.get(migration.version);
+    const state = pending.has(migration.version) ? 'pending' : row.modified ? 'MODIFIED' : 'applied';
+    const appliedAt = row ? new Date(row.applied_at).toISOString() : '';
+    console.log(`${migration.file.padEnd(48)} ${state.padEnd(9)} ${appliedAt}`);
+  }
+  for (const row of status.missing) {
+    console.log(`${`${String(row.version).padStart(4, '0')}_${row.name}`.padEnd(48)} ${'MISSING'.padEnd(9)} ${new Date(row.applied_at).toISOString()}`);
+  }
+  return describeProblems(status).length === 0;
+}
+
+async function main(args) {
+  const [command = 'up', arg] = args;
+
+  switch (command) {
+    case 'up': {
+      const target = arg ? parseInt(arg, 10) : Infinity;
+      if (!(target > 0)) throw new Error('up takes a positive target version');
+      console.log('Running migrations...');
+      await runMigrations(target);
+      return true;
+    }
+    case 'down': {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!(steps > 0)) throw new Error('down takes a positive number of steps');
+      const rolledBack = await rollbackMigrations(steps);
+      console.log(`✓ Rolled back ${rolledBack.length} migration(s)`);
+      return true;
+    }
+    case 'status':
+      return printStatus();
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
   }
 }
 
 if (require.main === module) {
-  runMigrations()
-    .then(() => process.exit(0))
-    .catch(() => process.exit(1));
+  main(process.argv.slice(2))
+    .then((ok) => closePool().then(() => process.exit(ok ? 0 : 1)))
+    .catch((error) => {
+      console.error('Migration failed:', error.message);
+      closePool().finally(() => process.exit(1));
+    });
 }
 
-module.exports = { runMigrations };
\ No newline at end of file
+module.exports = { main, runMigrations, rollbackMigrations, getMigrationStatus, assertMigrationsCurrent, loadMigrations };
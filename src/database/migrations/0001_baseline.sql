@@ -0,0 +1,333 @@
+-- Migration: Baseline schema
+-- Purpose: The schema previously created by the unversioned migrate.js. Every
+--          statement is idempotent, so databases set up before versioned
+--          migrations adopt it without changes. The files in legacy/ document
+--          how that schema evolved and are not run.
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+-- Irreversible: there is no down section, so `npm run migrate:down` stops here
+
+-- migrate:up
+
+-- Device Status Table
+CREATE TABLE IF NOT EXISTS device_status (
+  device_key TEXT PRIMARY KEY,
+  frontend_id TEXT,
+  mac_id TEXT,
+  device_name TEXT NOT NULL,
+  units TEXT DEFAULT 'F',
+  location_id TEXT,
+  workspace_id TEXT,
+  is_running BOOLEAN DEFAULT false,
+  session_started_at TIMESTAMPTZ,
+  current_mode TEXT,
+  current_equipment_status TEXT,
+  last_temperature DECIMAL(5,2),
+  last_heat_setpoint DECIMAL(5,2),
+  last_cool_setpoint DECIMAL(5,2),
+  last_fan_status TEXT DEFAULT 'OFF',
+  last_equipment_status TEXT,
+  last_mode TEXT,
+  last_was_cooling BOOLEAN DEFAULT false,
+  last_was_heating BOOLEAN DEFAULT false,
+  last_was_fan_only BOOLEAN DEFAULT false,
+  is_reachable BOOLEAN DEFAULT true,
+  last_seen_at TIMESTAMPTZ,
+  last_activity_at TIMESTAMPTZ,
+  last_post_at TIMESTAMPTZ,
+  last_staleness_notification TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  room_display_name TEXT,
+  last_fan_tail_until TIMESTAMPTZ
+);
+
+-- Device metadata
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS custom_name TEXT;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS parent_resource TEXT;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS temperature_scale TEXT;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS eco_mode TEXT DEFAULT 'OFF';
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS eco_heat_celsius DECIMAL(5,2);
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS eco_cool_celsius DECIMAL(5,2);
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS firmware_version TEXT;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS serial_number TEXT;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS last_humidity DECIMAL(5,2);
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS bubble_user_id TEXT;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS last_event_timestamp TIMESTAMPTZ;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS last_event_received_at TIMESTAMPTZ;
+
+-- Device discovery: how the device was registered and whether SDM still lists it
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS registration_source TEXT;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS discovered_at TIMESTAMPTZ;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS missing_since TIMESTAMPTZ;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS auto_register_disabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Adaptive polling: per-device next poll time and offline backoff
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS next_poll_at TIMESTAMPTZ;
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS offline_poll_count INTEGER NOT NULL DEFAULT 0;
+
+-- Raw SDM ThermostatHvac status, restored into deviceMemory on boot along with
+-- last_fan_status (Fan timerMode), last_mode (ThermostatMode) and last_post_at (idle telemetry post)
+ALTER TABLE device_status ADD COLUMN IF NOT EXISTS hvac_status TEXT;
+
+-- OAuth Tokens Table
+CREATE TABLE IF NOT EXISTS oauth_tokens (
+  user_id TEXT PRIMARY KEY,
+  access_token TEXT NOT NULL,
+  refresh_token TEXT,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Token health: healthy, refreshing (transient failure, backing off), invalid_grant, revoked
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS token_status TEXT DEFAULT 'healthy';
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS failure_count INTEGER DEFAULT 0;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS last_refresh_at TIMESTAMPTZ;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS last_refresh_error TEXT;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS reauth_notified_at TIMESTAMPTZ;
+
+-- Envelope encryption: tokens are AES-GCM ciphertext when token_key_id is set (NULL = legacy plaintext)
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS token_key_id TEXT;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS wrapped_data_key TEXT;
+
+-- Last successful device listing, used to schedule periodic discovery polls
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMPTZ;
+
+-- Equipment Events Table
+CREATE TABLE IF NOT EXISTS equipment_events (
+  id SERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  equipment_status TEXT,
+  previous_status TEXT,
+  is_active BOOLEAN DEFAULT false,
+  session_id UUID,
+  event_data JSONB,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_equipment_events_device_key
+ON equipment_events(device_key);
+
+CREATE INDEX IF NOT EXISTS idx_equipment_events_session_id
+ON equipment_events(session_id);
+
+-- Runtime Sessions Table
+CREATE TABLE IF NOT EXISTS runtime_sessions (
+  id SERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  session_id UUID NOT NULL UNIQUE,
+  mode TEXT NOT NULL,
+  equipment_status TEXT,
+  started_at TIMESTAMPTZ NOT NULL,
+  ended_at TIMESTAMPTZ,
+  duration_seconds INTEGER DEFAULT 0,
+  start_temperature DECIMAL(5,2),
+  end_temperature DECIMAL(5,2),
+  heat_setpoint DECIMAL(5,2),
+  cool_setpoint DECIMAL(5,2),
+  tick_count INTEGER DEFAULT 0,
+  last_tick_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Blower run-on after a heat/cool cycle, included in duration_seconds
+ALTER TABLE runtime_sessions ADD COLUMN IF NOT EXISTS fan_tail_seconds INTEGER DEFAULT 0;
+
+-- started_at/ended_at are SDM observed times; these record when we received the events
+ALTER TABLE runtime_sessions ADD COLUMN IF NOT EXISTS start_received_at TIMESTAMPTZ;
+ALTER TABLE runtime_sessions ADD COLUMN IF NOT EXISTS end_received_at TIMESTAMPTZ;
+
+-- Fan_only sessions only: 'scheduled' (fan circulation scheduler) or 'user'
+ALTER TABLE runtime_sessions ADD COLUMN IF NOT EXISTS trigger_source TEXT;
+
+-- Sessions whose end transition was missed and closed at an estimated time
+ALTER TABLE runtime_sessions ADD COLUMN IF NOT EXISTS is_estimated BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE runtime_sessions ADD COLUMN IF NOT EXISTS reconciliation_reason TEXT;
+ALTER TABLE runtime_sessions ADD COLUMN IF NOT EXISTS end_evidence TEXT;
+CREATE INDEX IF NOT EXISTS idx_runtime_sessions_device_key
+ON runtime_sessions(device_key);
+
+CREATE INDEX IF NOT EXISTS idx_runtime_sessions_session_id
+ON runtime_sessions(session_id);
+
+-- Temperature Readings Table
+CREATE TABLE IF NOT EXISTS temp_readings (
+  id SERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  temperature DECIMAL(5,2) NOT NULL,
+  units TEXT DEFAULT 'F',
+  event_type TEXT,
+  session_id UUID,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE temp_readings ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_temp_readings_device_key
+ON temp_readings(device_key);
+
+CREATE INDEX IF NOT EXISTS idx_temp_readings_session_id
+ON temp_readings(session_id);
+
+-- Filter Profiles Table
+CREATE TABLE IF NOT EXISTS filter_profiles (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  merv_rating INTEGER,
+  nominal_life_hours DECIMAL(8,2) NOT NULL,
+  heat_weight DECIMAL(4,2) DEFAULT 1.0,
+  cool_weight DECIMAL(4,2) DEFAULT 1.1,
+  fan_weight DECIMAL(4,2) DEFAULT 0.6,
+  aux_heat_weight DECIMAL(4,2) DEFAULT 1.25,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Device Filters Table (one active filter per device, replaced ones kept as history)
+CREATE TABLE IF NOT EXISTS device_filters (
+  id SERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  profile_id INTEGER REFERENCES filter_profiles(id) ON DELETE SET NULL,
+  merv_rating INTEGER,
+  nominal_life_hours DECIMAL(8,2) NOT NULL,
+  installed_at TIMESTAMPTZ NOT NULL,
+  replaced_at TIMESTAMPTZ,
+  is_active BOOLEAN DEFAULT true,
+  consumed_hours DECIMAL(10,2) DEFAULT 0,
+  usage_percent DECIMAL(6,2) DEFAULT 0,
+  last_threshold_percent INTEGER DEFAULT 0,
+  last_threshold_at TIMESTAMPTZ,
+  last_calculated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_device_filters_active
+ON device_filters(device_key) WHERE is_active;
+
+-- Core Ingest Outbox Table (events are deleted once delivered)
+CREATE TABLE IF NOT EXISTS ingest_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL,
+  label TEXT,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_outbox_pending
+ON ingest_outbox(device_key, id) WHERE status = 'pending';
+
+-- Correlation ID of the webhook/poll event that produced the row, for tracing delivery logs
+ALTER TABLE ingest_outbox ADD COLUMN IF NOT EXISTS correlation_id TEXT;
+
+-- Processed Events Table (Pub/Sub messageId / SDM eventId dedup with TTL)
+CREATE TABLE IF NOT EXISTS processed_events (
+  event_key TEXT PRIMARY KEY,
+  device_key TEXT,
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_events_expires_at
+ON processed_events(expires_at);
+
+-- Device Commands Table (audit trail for thermostat control)
+CREATE TABLE IF NOT EXISTS device_commands (
+  id BIGSERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  command TEXT NOT NULL,
+  params JSONB,
+  sdm_params JSONB,
+  status TEXT NOT NULL DEFAULT 'pending',
+  error_code TEXT,
+  error_message TEXT,
+  requested_by TEXT,
+  source TEXT DEFAULT 'api',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_commands_device_created
+ON device_commands(device_key, created_at DESC);
+
+-- Fan Circulation Schedules Table (one per device)
+CREATE TABLE IF NOT EXISTS fan_schedules (
+  device_key TEXT PRIMARY KEY REFERENCES device_status(device_key) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  minutes_per_hour INTEGER NOT NULL,
+  active_start TEXT,
+  active_end TEXT,
+  quiet_start TEXT,
+  quiet_end TEXT,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  next_run_at TIMESTAMPTZ,
+  active_until TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_status TEXT,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Structures Table (SDM homes per user)
+CREATE TABLE IF NOT EXISTS structures (
+  user_id TEXT NOT NULL,
+  structure_name TEXT NOT NULL,
+  structure_key TEXT NOT NULL,
+  display_name TEXT,
+  traits JSONB,
+  synced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, structure_name)
+);
+
+-- Rooms Table (device_status.parent_resource points at rooms.room_name)
+CREATE TABLE IF NOT EXISTS rooms (
+  user_id TEXT NOT NULL,
+  room_name TEXT NOT NULL,
+  room_key TEXT NOT NULL,
+  structure_name TEXT NOT NULL,
+  display_name TEXT,
+  synced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, room_name),
+  FOREIGN KEY (user_id, structure_name) REFERENCES structures(user_id, structure_name) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_status_parent_resource
+ON device_status(parent_resource);
+
+CREATE INDEX IF NOT EXISTS idx_device_status_next_poll_at
+ON device_status(next_poll_at);
+
+-- API Keys Table (only a SHA-256 hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_id TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Names are unique among active keys, so a revoked key's name can be reused when rotating
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_active_name
+ON api_keys(name) WHERE revoked_at IS NULL;
+
+-- Index for bubble_user_id lookup (for polling queries)
+CREATE INDEX IF NOT EXISTS idx_device_status_bubble_user_id
+ON device_status(bubble_user_id);
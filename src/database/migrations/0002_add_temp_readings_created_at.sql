@@ -0,0 +1,24 @@
+-- Migration: Add created_at to temp_readings
+-- Purpose: Temperature inserts write created_at, which the table never had, so every reading failed to save
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+-- migrate:up
+
+ALTER TABLE temp_readings
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ;
+
+-- Rows saved before this column existed
+UPDATE temp_readings
+  SET created_at = COALESCE(received_at, recorded_at)
+  WHERE created_at IS NULL;
+
+ALTER TABLE temp_readings
+  ALTER COLUMN created_at SET DEFAULT NOW();
+
+COMMENT ON COLUMN temp_readings.created_at IS 'When the row was written (recorded_at is the SDM observed time, received_at when the event arrived)';
+
+-- migrate:down
+
+ALTER TABLE temp_readings
+  DROP COLUMN IF EXISTS created_at;
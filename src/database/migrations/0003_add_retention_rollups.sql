@@ -0,0 +1,71 @@
+-- Migration: Add roll-up tables for data retention
+-- Purpose: The retention job folds expiring temp_readings into hourly and then daily min/avg/max rows,
+--          and expiring equipment_events into daily counts, before deleting them
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+-- migrate:up
+
+-- Hourly temperature roll-ups (°F, like temp_readings); avg = temperature_sum / reading_count
+CREATE TABLE IF NOT EXISTS temp_readings_hourly (
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  bucket_start TIMESTAMPTZ NOT NULL,
+  min_temperature DECIMAL(5,2) NOT NULL,
+  avg_temperature DECIMAL(5,2) NOT NULL,
+  max_temperature DECIMAL(5,2) NOT NULL,
+  temperature_sum DECIMAL(12,2) NOT NULL,
+  reading_count INTEGER NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (device_key, bucket_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_temp_readings_hourly_bucket_start
+ON temp_readings_hourly(bucket_start);
+
+-- Daily temperature roll-ups (UTC days), folded from expiring hourly rows
+CREATE TABLE IF NOT EXISTS temp_readings_daily (
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  min_temperature DECIMAL(5,2) NOT NULL,
+  avg_temperature DECIMAL(5,2) NOT NULL,
+  max_temperature DECIMAL(5,2) NOT NULL,
+  temperature_sum DECIMAL(14,2) NOT NULL,
+  reading_count INTEGER NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (device_key, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_temp_readings_daily_day
+ON temp_readings_daily(day);
+
+-- Daily equipment event counts per event type (UTC days)
+CREATE TABLE IF NOT EXISTS equipment_events_daily (
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  day DATE NOT NULL,
+  event_type TEXT NOT NULL,
+  event_count INTEGER NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (device_key, day, event_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_equipment_events_daily_day
+ON equipment_events_daily(day);
+
+-- The retention job selects expiring raw rows by time
+CREATE INDEX IF NOT EXISTS idx_temp_readings_recorded_at
+ON temp_readings(recorded_at);
+
+CREATE INDEX IF NOT EXISTS idx_equipment_events_recorded_at
+ON equipment_events(recorded_at);
+
+COMMENT ON TABLE temp_readings_hourly IS 'Hourly min/avg/max of temp_readings rows removed by the retention job';
+COMMENT ON TABLE temp_readings_daily IS 'Daily (UTC) min/avg/max of temp_readings_hourly rows removed by the retention job';
+COMMENT ON TABLE equipment_events_daily IS 'Daily (UTC) counts of equipment_events rows removed by the retention job';
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_equipment_events_recorded_at;
+DROP INDEX IF EXISTS idx_temp_readings_recorded_at;
+DROP TABLE IF EXISTS equipment_events_daily;
+DROP TABLE IF EXISTS temp_readings_daily;
+DROP TABLE IF EXISTS temp_readings_hourly;
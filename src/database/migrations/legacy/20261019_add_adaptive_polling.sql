@@ -0,0 +1,17 @@
+-- Migration: Add adaptive polling state
+-- Purpose: Per-device next poll times with offline backoff, and per-user discovery poll tracking
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE device_status
+  ADD COLUMN IF NOT EXISTS next_poll_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS offline_poll_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE oauth_tokens
+  ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_device_status_next_poll_at ON device_status(next_poll_at);
+
+COMMENT ON COLUMN device_status.next_poll_at IS 'When the poller next checks the device; NULL means due now';
+COMMENT ON COLUMN device_status.offline_poll_count IS 'Consecutive polls that found the device offline or missing (drives backoff)';
+COMMENT ON COLUMN oauth_tokens.last_polled_at IS 'Last successful SDM device listing for the user';
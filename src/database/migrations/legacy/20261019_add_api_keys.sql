@@ -0,0 +1,24 @@
+-- Migration: Add scoped API keys
+-- Purpose: Replace the single shared RAILWAY_API_KEY with named, hashed, revocable keys carrying scopes
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_id TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Names are unique among active keys, so a revoked key's name can be reused when rotating
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_active_name
+  ON api_keys(name) WHERE revoked_at IS NULL;
+
+COMMENT ON COLUMN api_keys.key_id IS 'Public identifier embedded in the key (sfp_<key_id>_<secret>), used for lookup';
+COMMENT ON COLUMN api_keys.key_hash IS 'Hex SHA-256 of the full key; the key itself is never stored';
+COMMENT ON COLUMN api_keys.scopes IS 'tokens:write, devices:read, devices:write, devices:delete, admin';
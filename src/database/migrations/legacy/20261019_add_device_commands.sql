@@ -0,0 +1,27 @@
+-- Migration: Add thermostat command audit trail
+-- Purpose: Record every SDM executeCommand issued through the control API with its outcome
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS device_commands (
+  id BIGSERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  command TEXT NOT NULL,
+  params JSONB,
+  sdm_params JSONB,
+  status TEXT NOT NULL DEFAULT 'pending',
+  error_code TEXT,
+  error_message TEXT,
+  requested_by TEXT,
+  source TEXT DEFAULT 'api',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_commands_device_created
+  ON device_commands(device_key, created_at DESC);
+
+COMMENT ON COLUMN device_commands.command IS 'SDM command without the sdm.devices.commands. prefix, e.g. ThermostatMode.SetMode';
+COMMENT ON COLUMN device_commands.params IS 'Parameters as received from the caller';
+COMMENT ON COLUMN device_commands.sdm_params IS 'Parameters actually sent to SDM (Celsius, duration string)';
+COMMENT ON COLUMN device_commands.status IS 'pending, succeeded, failed (SDM error) or rejected (validation)';
@@ -0,0 +1,15 @@
+-- Migration: Add device discovery columns
+-- Purpose: Auto-register thermostats listed by SDM and flag registered devices that disappear from the account
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE device_status
+  ADD COLUMN IF NOT EXISTS registration_source TEXT,
+  ADD COLUMN IF NOT EXISTS discovered_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS missing_since TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS auto_register_disabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN device_status.registration_source IS 'manual (POST /devices/register) or auto (discovered while polling)';
+COMMENT ON COLUMN device_status.discovered_at IS 'When the device was auto-registered from the SDM device list';
+COMMENT ON COLUMN device_status.missing_since IS 'First poll at which SDM no longer listed the device for its user; NULL while listed';
+COMMENT ON COLUMN device_status.auto_register_disabled IS 'Set by POST /devices/unregister so discovery does not re-register the device';
@@ -0,0 +1,12 @@
+-- Migration: Persist full device state for restart recovery
+-- Purpose: Store the raw SDM state deviceMemory compares events against, so restarts don't fire spurious change events
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE device_status
+  ADD COLUMN IF NOT EXISTS hvac_status TEXT;
+
+COMMENT ON COLUMN device_status.hvac_status IS 'Raw ThermostatHvac status (HEATING, COOLING, OFF); NULL on rows written before state persistence';
+COMMENT ON COLUMN device_status.last_fan_status IS 'Fan trait timerMode (ON/OFF)';
+COMMENT ON COLUMN device_status.last_mode IS 'Raw ThermostatMode mode (HEAT, COOL, HEATCOOL, OFF)';
+COMMENT ON COLUMN device_status.last_post_at IS 'Observed time of the last idle Telemetry_Update posted to Core';
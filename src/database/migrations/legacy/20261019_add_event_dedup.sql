@@ -0,0 +1,20 @@
+-- Migration: Add idempotent event processing support
+-- Purpose: Dedup Pub/Sub redeliveries by messageId/eventId and drop out-of-order SDM events
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS processed_events (
+  event_key TEXT PRIMARY KEY,
+  device_key TEXT,
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_events_expires_at
+  ON processed_events(expires_at);
+
+ALTER TABLE device_status
+  ADD COLUMN IF NOT EXISTS last_event_timestamp TIMESTAMPTZ;
+
+COMMENT ON COLUMN processed_events.event_key IS 'msg:<Pub/Sub messageId> or evt:<SDM eventId>';
+COMMENT ON COLUMN device_status.last_event_timestamp IS 'SDM timestamp of the newest event applied to this device';
@@ -0,0 +1,19 @@
+-- Migration: Store event receipt time alongside SDM observed time
+-- Purpose: Runtime math uses the SDM event timestamp; keep receipt times to measure delivery lag
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE runtime_sessions
+  ADD COLUMN IF NOT EXISTS start_received_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS end_received_at TIMESTAMPTZ;
+
+ALTER TABLE temp_readings
+  ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ;
+
+ALTER TABLE device_status
+  ADD COLUMN IF NOT EXISTS last_event_received_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN runtime_sessions.started_at IS 'SDM observed time of the event that started the session';
+COMMENT ON COLUMN runtime_sessions.start_received_at IS 'When the service received the event that started the session';
+COMMENT ON COLUMN runtime_sessions.end_received_at IS 'When the service received the event that ended the session';
+COMMENT ON COLUMN temp_readings.received_at IS 'When the service received the reading (recorded_at is the SDM observed time)';
@@ -0,0 +1,31 @@
+-- Migration: Add scheduled fan circulation
+-- Purpose: Store per-device circulation schedules and tag Fan_only sessions as scheduled or user-initiated
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS fan_schedules (
+  device_key TEXT PRIMARY KEY REFERENCES device_status(device_key) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  minutes_per_hour INTEGER NOT NULL,
+  active_start TEXT,
+  active_end TEXT,
+  quiet_start TEXT,
+  quiet_end TEXT,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  next_run_at TIMESTAMPTZ,
+  active_until TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_status TEXT,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE runtime_sessions
+  ADD COLUMN IF NOT EXISTS trigger_source TEXT;
+
+COMMENT ON COLUMN fan_schedules.minutes_per_hour IS 'Fan run time at the top of each local hour (duty cycle)';
+COMMENT ON COLUMN fan_schedules.active_start IS 'HH:MM local time; runs only between active_start and active_end (may wrap midnight)';
+COMMENT ON COLUMN fan_schedules.quiet_start IS 'HH:MM local time; no runs between quiet_start and quiet_end';
+COMMENT ON COLUMN fan_schedules.active_until IS 'End of the fan timer the scheduler last started; cleared when the fan timer turns off';
+COMMENT ON COLUMN runtime_sessions.trigger_source IS 'For fan_only sessions: scheduled or user';
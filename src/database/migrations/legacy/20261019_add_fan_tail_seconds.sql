@@ -0,0 +1,13 @@
+-- Migration: Add fan tail runtime tracking to runtime_sessions
+-- Purpose: Record the post-cycle blower run-on (LAST_FAN_TAIL_SECONDS) included in duration_seconds
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE runtime_sessions
+  ADD COLUMN IF NOT EXISTS fan_tail_seconds INTEGER DEFAULT 0;
+
+ALTER TABLE device_status
+  ADD COLUMN IF NOT EXISTS last_fan_tail_until TIMESTAMPTZ;
+
+COMMENT ON COLUMN runtime_sessions.fan_tail_seconds IS 'Seconds of blower run-on after the heat/cool cycle ended (part of duration_seconds)';
+COMMENT ON COLUMN device_status.last_fan_tail_until IS 'End of the pending fan tail for the open session, NULL when no tail is pending';
@@ -0,0 +1,42 @@
+-- Migration: Add filter-life tracking tables
+-- Purpose: Model filter profiles and per-device filters so usage can be derived from runtime_sessions
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS filter_profiles (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  merv_rating INTEGER,
+  nominal_life_hours DECIMAL(8,2) NOT NULL,
+  heat_weight DECIMAL(4,2) DEFAULT 1.0,
+  cool_weight DECIMAL(4,2) DEFAULT 1.1,
+  fan_weight DECIMAL(4,2) DEFAULT 0.6,
+  aux_heat_weight DECIMAL(4,2) DEFAULT 1.25,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS device_filters (
+  id SERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL REFERENCES device_status(device_key) ON DELETE CASCADE,
+  profile_id INTEGER REFERENCES filter_profiles(id) ON DELETE SET NULL,
+  merv_rating INTEGER,
+  nominal_life_hours DECIMAL(8,2) NOT NULL,
+  installed_at TIMESTAMPTZ NOT NULL,
+  replaced_at TIMESTAMPTZ,
+  is_active BOOLEAN DEFAULT true,
+  consumed_hours DECIMAL(10,2) DEFAULT 0,
+  usage_percent DECIMAL(6,2) DEFAULT 0,
+  last_threshold_percent INTEGER DEFAULT 0,
+  last_threshold_at TIMESTAMPTZ,
+  last_calculated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_device_filters_active
+  ON device_filters(device_key) WHERE is_active;
+
+COMMENT ON COLUMN filter_profiles.nominal_life_hours IS 'Rated filter life in blower-hours';
+COMMENT ON COLUMN device_filters.consumed_hours IS 'Weighted blower-hours consumed since installed_at';
+COMMENT ON COLUMN device_filters.last_threshold_percent IS 'Highest alert threshold already emitted to Core Ingest for this filter';
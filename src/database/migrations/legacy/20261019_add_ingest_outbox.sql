@@ -0,0 +1,23 @@
+-- Migration: Add durable outbox for Core Ingest events
+-- Purpose: Queue runtime events in Postgres so they survive Core Ingest outages and restarts
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS ingest_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  device_key TEXT NOT NULL,
+  label TEXT,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_outbox_pending
+  ON ingest_outbox(device_key, id) WHERE status = 'pending';
+
+COMMENT ON COLUMN ingest_outbox.status IS 'pending (awaiting delivery) or dead (dead-lettered after INGEST_DEAD_LETTER_ATTEMPTS)';
+COMMENT ON COLUMN ingest_outbox.next_attempt_at IS 'Earliest time the dispatcher may retry this event (exponential backoff)';
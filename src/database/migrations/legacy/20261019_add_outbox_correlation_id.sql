@@ -0,0 +1,9 @@
+-- Migration: Add correlation IDs to the Core Ingest outbox
+-- Purpose: Trace delivery logs for an outbox row back to the webhook, Pub/Sub or poll event that produced it
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE ingest_outbox
+  ADD COLUMN IF NOT EXISTS correlation_id TEXT;
+
+COMMENT ON COLUMN ingest_outbox.correlation_id IS 'Correlation ID of the event that queued the row (matches correlation_id in the logs)';
@@ -0,0 +1,13 @@
+-- Migration: Add runtime session reconciliation columns
+-- Purpose: Close sessions whose OFF event was missed at an estimated end time instead of poll time or zero
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE runtime_sessions
+  ADD COLUMN IF NOT EXISTS is_estimated BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS reconciliation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS end_evidence TEXT;
+
+COMMENT ON COLUMN runtime_sessions.is_estimated IS 'TRUE when ended_at/duration_seconds were estimated because the end transition was missed';
+COMMENT ON COLUMN runtime_sessions.reconciliation_reason IS 'Why the session was reconciled: poll_idle (a poll showed the device idle) or stale_recovery (still open on restart after 4 hours)';
+COMMENT ON COLUMN runtime_sessions.end_evidence IS 'What the end time is based on: temperature_trend, last_event, typical_duration or none';
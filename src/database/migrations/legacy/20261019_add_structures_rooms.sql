@@ -0,0 +1,37 @@
+-- Migration: Add structures and rooms
+-- Purpose: Persist SDM structures (homes) and rooms so devices can be grouped by home and room
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS structures (
+  user_id TEXT NOT NULL,
+  structure_name TEXT NOT NULL,
+  structure_key TEXT NOT NULL,
+  display_name TEXT,
+  traits JSONB,
+  synced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, structure_name)
+);
+
+CREATE TABLE IF NOT EXISTS rooms (
+  user_id TEXT NOT NULL,
+  room_name TEXT NOT NULL,
+  room_key TEXT NOT NULL,
+  structure_name TEXT NOT NULL,
+  display_name TEXT,
+  synced_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, room_name),
+  FOREIGN KEY (user_id, structure_name) REFERENCES structures(user_id, structure_name) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_status_parent_resource
+  ON device_status(parent_resource);
+
+COMMENT ON COLUMN structures.structure_name IS 'SDM resource name: enterprises/{project}/structures/{id}';
+COMMENT ON COLUMN structures.display_name IS 'sdm.structures.traits.Info customName';
+COMMENT ON COLUMN rooms.room_name IS 'SDM resource name; matches device_status.parent_resource';
+COMMENT ON COLUMN rooms.display_name IS 'sdm.structures.traits.RoomInfo customName';
@@ -0,0 +1,13 @@
+-- Migration: Add OAuth token encryption at rest
+-- Purpose: Store access/refresh tokens as AES-256-GCM ciphertext under a per-row data key wrapped by a rotatable master key
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE oauth_tokens
+  ADD COLUMN IF NOT EXISTS token_key_id TEXT,
+  ADD COLUMN IF NOT EXISTS wrapped_data_key TEXT;
+
+-- Existing plaintext rows are encrypted by `npm run rotate-token-keys`
+
+COMMENT ON COLUMN oauth_tokens.token_key_id IS 'ID of the master key (TOKEN_ENCRYPTION_KEYS) wrapping the data key; NULL means plaintext tokens';
+COMMENT ON COLUMN oauth_tokens.wrapped_data_key IS 'Per-row AES-256 data key, encrypted with the master key (v1.iv.tag.ciphertext)';
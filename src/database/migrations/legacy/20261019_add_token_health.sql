@@ -0,0 +1,17 @@
+-- Migration: Add per-user token health tracking
+-- Purpose: Track OAuth refresh failures, back off transient errors and stop polling dead grants until re-link
+-- Author: SmartFilterPro
+-- Date: 2026-10-19
+
+ALTER TABLE oauth_tokens
+  ADD COLUMN IF NOT EXISTS token_status TEXT DEFAULT 'healthy',
+  ADD COLUMN IF NOT EXISTS failure_count INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_refresh_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_refresh_error TEXT,
+  ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS reauth_notified_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN oauth_tokens.token_status IS 'healthy, refreshing (transient failure, backing off), invalid_grant or revoked (user must re-link)';
+COMMENT ON COLUMN oauth_tokens.next_retry_at IS 'Background jobs skip the user until this time (refreshing only)';
+COMMENT ON COLUMN oauth_tokens.reauth_notified_at IS 'When REAUTH_WEBHOOK_URL was told the user must re-link; NULL means pending';
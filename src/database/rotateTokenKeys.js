@@ -0,0 +1,27 @@
+require('dotenv').config();
+const { closePool } = require('./db');
+const { rotateTokenKeys } = require('../services/tokenCrypto');
+
+/**
+ * Re-encrypts all OAuth tokens under TOKEN_ENCRYPTION_KEY_ID.
+ *
+ * Rotation: add the new key to TOKEN_ENCRYPTION_KEYS, point TOKEN_ENCRYPTION_KEY_ID
+ * at it, deploy, run `npm run rotate-token-keys`, then remove the old key.
+ */
+async function main() {
+  console.log('Rotating OAuth token encryption...');
+  const stats = await rotateTokenKeys();
+  console.log(`✓ Re-encrypted ${stats.rotated} user(s), ${stats.failed} failure(s)`);
+  return stats;
+}
+
+if (require.main === module) {
+  main()
+    .then((stats) => closePool().then(() => process.exit(stats.failed > 0 ? 1 : 0)))
+    .catch((error) => {
+      console.error('Token key rotation failed:', error.message);
+      closePool().finally(() => process.exit(1));
+    });
+}
+
+module.exports = { main };
@@ -1,12 +1,31 @@
 require('dotenv').config();
+// JSON logs honoring LOG_LEVEL; installed first so every module's console output goes through it
+require('./services/logger').installConsoleBridge();
 const express = require('express');
 const { initDatabase, closePool } = require('./database/db');
-const { recoverActiveSessions } = require('./services/runtimeTracker');
+const { assertMigrationsCurrent } = require('./database/migrate');
+const { restoreDeviceMemory } = require('./services/runtimeTracker');
 const { startPoller, stopPoller } = require('./services/nestPoller');
+const { startLeaderElection, stopLeaderElection } = require('./services/coordination');
+const { startIngestDispatcher, stopIngestDispatcher } = require('./services/ingestOutbox');
+const { logPushAuthConfig } = require('./services/pubsubAuth');
+const { logTokenEncryptionConfig } = require('./services/tokenCrypto');
+const { startDedupCleanup, stopDedupCleanup } = require('./services/eventDedup');
+const { startRetentionJob, stopRetentionJob } = require('./services/retention');
+const { startPubSubListener, stopPubSubListener, getIngestionMode, isPushEnabled, isPullEnabled } = require('./services/pubsubListener');
+const { startFanScheduler, stopFanScheduler } = require('./services/fanScheduler');
 const authRoutes = require('./routes/auth');
 const webhookRoutes = require('./routes/webhook');
 const deleteRoutes = require('./routes/delete');
 const deviceRoutes = require('./routes/devices');
+const filterRoutes = require('./routes/filters');
+const outboxRoutes = require('./routes/outbox');
+const fanScheduleRoutes = require('./routes/fanSchedules');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const metricsRoutes = require('./routes/metrics');
+const healthRoutes = require('./routes/health');
+const retentionRoutes = require('./routes/retention');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,26 +35,22 @@ const PORT = process.env.PORT || 3000;
 // ===============================
 app.use(express.json({ limit: '1mb' })); // Limit payload size
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: {
-      used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB',
-      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + 'MB'
-    }
-  });
-});
-
 // ===============================
 // Routes
 // ===============================
+// Health checks (no API key, for the platform's probes)
+app.use('/health', healthRoutes);
 app.use('/auth', authRoutes);
 app.use('/webhook', webhookRoutes);
 app.use('/api', deleteRoutes);
 app.use('/devices', deviceRoutes);
+app.use('/filters', filterRoutes);
+app.use('/admin/outbox', outboxRoutes);
+app.use('/fan-schedules', fanScheduleRoutes);
+app.use('/users', userRoutes);
+app.use('/admin/api-keys', apiKeyRoutes);
+app.use('/admin/retention', retentionRoutes);
+app.use('/metrics', metricsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -59,36 +74,62 @@ async function startup() {
     console.log(`Node version: ${process.version}`);
     console.log(`Memory limit: ${Math.round(process.memoryUsage().heapTotal / 1024 / 1024)}MB`);
 
+    // Fails fast on a malformed TOKEN_ENCRYPTION_KEYS
+    logTokenEncryptionConfig();
+
     // Database initialization
     await initDatabase();
     console.log('✓ Database initialized');
 
-    // Recover active runtime sessions (stub or real implementation)
-    await recoverActiveSessions();
-    console.log('✓ Active sessions recovered');
+    // Refuse to boot against a schema this release doesn't match
+    const schema = await assertMigrationsCurrent();
+    console.log(`✓ Database schema at version ${schema.current}`);
+
+    // Deliver any Core Ingest events queued before the last shutdown
+    startIngestDispatcher();
+    console.log('✓ Core Ingest outbox dispatcher started');
+
+    // Expire old Pub/Sub dedup records
+    startDedupCleanup();
+
+    // Roll up and prune old temp_readings and equipment_events (one replica at a time)
+    startRetentionJob();
+
+    // Restore device state and resume active runtime sessions
+    await restoreDeviceMemory();
+    console.log('✓ Device state restored');
 
     // Start HTTP server
     server = app.listen(PORT, () => {
       console.log(`✓ Server running on port ${PORT}`);
-      console.log(`✓ Webhook endpoint: POST /webhook`);
-      console.log(`✓ Health check: GET /health`);
+      console.log(`✓ Ingestion mode: ${getIngestionMode()}`);
+      if (isPushEnabled()) {
+        console.log(`✓ Webhook endpoint: POST /webhook`);
+        logPushAuthConfig();
+      }
+      console.log(`✓ Health checks: GET /health, /health/live, /health/ready`);
       console.log('Application ready!');
     });
 
+    // Pull-mode ingestion from the Pub/Sub subscription
+    if (isPullEnabled()) {
+      await startPubSubListener();
+      console.log('✓ Pub/Sub pull listener started');
+    }
+
     // Connection timeouts
     server.timeout = 30000;
     server.keepAliveTimeout = 65000; // must be > LB timeout
     server.headersTimeout = 66000;   // must be > keepAliveTimeout
 
-    // Initial background poll
-    const { pollAllUsers } = require('./services/nestPoller');
-    pollAllUsers()
-      .then(() => console.log('✓ Initial polling complete'))
-      .catch(err => console.error('Initial polling failed (non-fatal):', err.message));
+    // Adaptive poller; its first tick covers devices and users that are due.
+    // Only the elected replica polls, another takes over if it goes away.
+    startLeaderElection('poller', { onElected: startPoller, onDemoted: stopPoller });
+    console.log('✓ Nest API poller leader election started');
 
-    // Start periodic poller
-    startPoller();
-    console.log('✓ Nest API poller scheduled');
+    // Scheduled fan circulation (state lives in fan_schedules, so runs resume after a restart)
+    startFanScheduler();
+    console.log('✓ Fan circulation scheduler started');
 
   } catch (error) {
     console.error('Failed to start application:', error);
@@ -108,9 +149,27 @@ async function gracefulShutdown(signal) {
     });
   }
 
-  stopPoller();
+  await stopLeaderElection('poller');
   console.log('✓ Poller stopped');
 
+  await stopFanScheduler();
+
+  if (isPullEnabled()) {
+    try {
+      await stopPubSubListener();
+      console.log('✓ Pub/Sub listener drained');
+    } catch (error) {
+      console.error('Error stopping Pub/Sub listener:', error.message);
+    }
+  }
+
+  stopDedupCleanup();
+
+  await stopRetentionJob();
+
+  await stopIngestDispatcher();
+  console.log('✓ Outbox dispatcher stopped');
+
   await closePool();
   console.log('✓ Database connections closed');
 
@@ -0,0 +1,85 @@
+const express = require('express');
+const {
+  SCOPES,
+  requireScope,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../services/apiKeys');
+
+const router = express.Router();
+
+/**
+ * List API keys (hashes and secrets are never returned)
+ */
+router.get('/', requireScope('admin'), async (req, res) => {
+  try {
+    const keys = await listApiKeys();
+    res.json({ success: true, scopes: SCOPES, keys });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ error: 'Failed to list API keys', message: error.message });
+  }
+});
+
+/**
+ * Create a named key with scopes; the key itself is only shown in this response
+ *
+ * Body: { name, scopes: ['devices:read', ...] }
+ */
+router.post('/', requireScope('admin'), async (req, res) => {
+  const { name, scopes } = req.body;
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['name', 'scopes']
+    });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !SCOPES.includes(scope))) {
+    return res.status(400).json({ error: 'Invalid scopes', allowed: SCOPES });
+  }
+
+  try {
+    const created = await createApiKey({ name, scopes: [...new Set(scopes)], createdBy: req.apiKey.name });
+
+    console.log(`✅ API key created: ${created.name} (${created.key_id}) scopes=${created.scopes.join(',')}`);
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now; it cannot be retrieved again',
+      apiKey: created
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An active API key with this name already exists' });
+    }
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key', message: error.message });
+  }
+});
+
+/**
+ * Revoke a key; it stops working immediately
+ */
+router.delete('/:id', requireScope('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'id must be an integer' });
+  }
+
+  try {
+    const revoked = await revokeApiKey(id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    console.log(`✅ API key revoked: ${revoked.name} (${revoked.key_id})`);
+    res.json({ success: true, message: 'API key revoked', apiKey: revoked });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key', message: error.message });
+  }
+});
+
+module.exports = router;
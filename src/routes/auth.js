@@ -1,17 +1,14 @@
 const express = require('express');
 const { getPool } = require('../database/db');
+const { REAUTH_STATUSES, getTokenHealth } = require('../services/tokenHealth');
+const { encryptTokens } = require('../services/tokenCrypto');
+const { requireScope } = require('../services/apiKeys');
 
 const router = express.Router();
 
 // Endpoint for Bubble to send OAuth tokens
-router.post('/store-tokens', async (req, res) => {
-  const { userId, accessToken, refreshToken, expiresIn, projectId, apiKey } = req.body;
-  
-  // Verify API key
-  if (apiKey !== process.env.RAILWAY_API_KEY) {
-    console.error('Invalid API key provided');
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+router.post('/store-tokens', requireScope('tokens:write'), async (req, res) => {
+  const { userId, accessToken, refreshToken, expiresIn, projectId } = req.body;
   
   // Validate required fields
   if (!userId || !accessToken || !refreshToken) {
@@ -23,21 +20,29 @@ router.post('/store-tokens', async (req, res) => {
   
   try {
     const expiresAt = new Date(Date.now() + (expiresIn || 3600) * 1000);
+    const encrypted = encryptTokens(userId, { accessToken, refreshToken });
 
     const pool = getPool();
     await pool.query(`
-      INSERT INTO oauth_tokens (user_id, access_token, refresh_token, expires_at, updated_at)
-      VALUES ($1, $2, $3, $4, NOW())
+      INSERT INTO oauth_tokens (user_id, access_token, refresh_token, token_key_id, wrapped_data_key, expires_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
       ON CONFLICT (user_id) DO UPDATE SET
         access_token = EXCLUDED.access_token,
         refresh_token = EXCLUDED.refresh_token,
+        token_key_id = EXCLUDED.token_key_id,
+        wrapped_data_key = EXCLUDED.wrapped_data_key,
         expires_at = EXCLUDED.expires_at,
+        token_status = 'healthy',
+        failure_count = 0,
+        last_refresh_error = NULL,
+        next_retry_at = NULL,
+        reauth_notified_at = NULL,
+        status_changed_at = CASE WHEN oauth_tokens.token_status IS DISTINCT FROM 'healthy' THEN NOW() ELSE oauth_tokens.status_changed_at END,
         updated_at = NOW()
-    `, [userId, accessToken, refreshToken, expiresAt]);
+    `, [userId, encrypted.accessToken, encrypted.refreshToken, encrypted.keyId, encrypted.wrappedDataKey, expiresAt]);
 
     console.log(`✅ Tokens stored successfully for user: ${userId}`);
-    console.log(`   - Access token: ${accessToken.substring(0, 20)}...`);
-    console.log(`   - Has refresh token: ${!!refreshToken}`);
+    console.log(`   - Encrypted: ${encrypted.keyId ? `yes (key ${encrypted.keyId})` : 'no'}`);
     console.log(`   - Expires at: ${expiresAt.toISOString()} (in ${expiresIn || 3600} seconds)`);
 
     res.json({
@@ -52,33 +57,34 @@ router.post('/store-tokens', async (req, res) => {
   }
 });
 
-// Endpoint to check if tokens exist for a user
-router.get('/check-tokens/:userId', async (req, res) => {
+// Endpoint to check token existence and health for a user
+router.get('/check-tokens/:userId', requireScope('tokens:write'), async (req, res) => {
   const { userId } = req.params;
-  const { apiKey } = req.query;
-  
-  if (apiKey !== process.env.RAILWAY_API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
   
   try {
-    const pool = getPool();
-    const result = await pool.query(
-      'SELECT user_id, expires_at FROM oauth_tokens WHERE user_id = $1',
-      [userId]
-    );
+    const health = await getTokenHealth(userId);
     
-    if (result.rows.length === 0) {
-      return res.json({ exists: false });
+    if (!health) {
+      return res.json({ exists: false, status: null, needsReauth: true });
     }
     
-    const expiresAt = new Date(result.rows[0].expires_at);
+    const expiresAt = new Date(health.expires_at);
     const isExpired = expiresAt < new Date();
+    const status = health.token_status || 'healthy';
     
     res.json({ 
       exists: true,
       expired: isExpired,
-      expiresAt: expiresAt.toISOString()
+      expiresAt: expiresAt.toISOString(),
+      status,
+      needsReauth: REAUTH_STATUSES.includes(status) || !health.has_refresh_token,
+      hasRefreshToken: health.has_refresh_token,
+      failureCount: health.failure_count,
+      lastRefreshAt: health.last_refresh_at,
+      lastError: health.last_refresh_error,
+      nextRetryAt: health.next_retry_at,
+      statusChangedAt: health.status_changed_at,
+      reauthNotifiedAt: health.reauth_notified_at
     });
   } catch (error) {
     console.error('Error checking tokens:', error);
@@ -1,25 +1,11 @@
 const express = require('express');
 const { getPool } = require('../database/db');
+const { requireScope } = require('../services/apiKeys');
 
 const router = express.Router();
 
-// Middleware to verify API key
-function verifyApiKey(req, res, next) {
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey || req.body.apiKey;
-  
-  if (apiKey !== process.env.RAILWAY_API_KEY) {
-    console.error('Unauthorized deletion attempt - invalid API key');
-    return res.status(401).json({ 
-      success: false,
-      error: 'Unauthorized - Invalid API key' 
-    });
-  }
-  
-  next();
-}
-
 // Delete user and all associated data
-router.delete('/user/:userId', verifyApiKey, async (req, res) => {
+router.delete('/user/:userId', requireScope('devices:delete'), async (req, res) => {
   const { userId } = req.params;
   const pool = getPool();
   
@@ -101,7 +87,7 @@ router.delete('/user/:userId', verifyApiKey, async (req, res) => {
 });
 
 // Delete specific thermostat
-router.delete('/device/:deviceKey', verifyApiKey, async (req, res) => {
+router.delete('/device/:deviceKey', requireScope('devices:delete'), async (req, res) => {
   const { deviceKey } = req.params;
   const pool = getPool();
   
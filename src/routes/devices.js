@@ -1,21 +1,62 @@
 const express = require('express');
 const { getPool } = require('../database/db');
+const { executeThermostatCommand, listCommands } = require('../services/thermostatCommands');
+const { requireScope } = require('../services/apiKeys');
+const { isValidTimezone } = require('./helpers');
 
 const router = express.Router();
 
+const RUNTIME_BUCKETS = ['hour', 'day', 'week', 'month'];
+const MAX_RUNTIME_BUCKETS = 1000;
+const APPROX_BUCKET_MS = { hour: 3600000, day: 86400000, week: 7 * 86400000, month: 28 * 86400000 };
+const DEFAULT_SESSION_PAGE_SIZE = 50;
+const MAX_SESSION_PAGE_SIZE = 500;
+
 /**
- * Endpoint for Bubble to register which devices belong to which user
- * This links device_status.bubble_user_id to oauth_tokens.user_id
+ * Parse an ISO date query parameter, returning null when absent and
+ * undefined when present but invalid.
  */
-router.post('/register', async (req, res) => {
-  const { bubble_user_id, device_name, apiKey } = req.body;
+function parseDateParam(value) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Resolve from/to for runtime queries, defaulting to the last 7 days
+ */
+function resolveDateRange(query, res) {
+  const to = parseDateParam(query.to);
+  const from = parseDateParam(query.from);
+
+  if (to === undefined || from === undefined) {
+    res.status(400).json({ error: 'Invalid date', message: 'from and to must be ISO 8601 timestamps' });
+    return null;
+  }
+
+  const rangeTo = to || new Date();
+  const rangeFrom = from || new Date(rangeTo.getTime() - 7 * 86400000);
 
-  // Verify API key
-  if (apiKey !== process.env.RAILWAY_API_KEY) {
-    console.error('Invalid API key provided');
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (rangeFrom >= rangeTo) {
+    res.status(400).json({ error: 'Invalid date range', message: 'from must be before to' });
+    return null;
   }
 
+  return { from: rangeFrom, to: rangeTo };
+}
+
+async function deviceExists(pool, deviceKey) {
+  const result = await pool.query('SELECT 1 FROM device_status WHERE device_key = $1', [deviceKey]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Endpoint for Bubble to register which devices belong to which user
+ * This links device_status.bubble_user_id to oauth_tokens.user_id
+ */
+router.post('/register', requireScope('devices:write'), async (req, res) => {
+  const { bubble_user_id, device_name } = req.body;
+
   // Validate required fields
   if (!bubble_user_id || !device_name) {
     return res.status(400).json({
@@ -47,11 +88,14 @@ router.post('/register', async (req, res) => {
 
     // Update or insert the device with bubble_user_id
     const result = await pool.query(`
-      INSERT INTO device_status (device_key, device_name, bubble_user_id, created_at, updated_at)
-      VALUES ($1, $2, $3, NOW(), NOW())
+      INSERT INTO device_status (device_key, device_name, bubble_user_id, registration_source, created_at, updated_at)
+      VALUES ($1, $2, $3, 'manual', NOW(), NOW())
       ON CONFLICT (device_key) DO UPDATE SET
         bubble_user_id = EXCLUDED.bubble_user_id,
         device_name = EXCLUDED.device_name,
+        registration_source = 'manual',
+        auto_register_disabled = FALSE,
+        missing_since = NULL,
         updated_at = NOW()
       RETURNING device_key, device_name, bubble_user_id
     `, [deviceKey, device_name, bubble_user_id]);
@@ -78,14 +122,8 @@ router.post('/register', async (req, res) => {
 /**
  * Endpoint to list all devices for a Bubble user
  */
-router.get('/list/:bubble_user_id', async (req, res) => {
+router.get('/list/:bubble_user_id', requireScope('devices:read'), async (req, res) => {
   const { bubble_user_id } = req.params;
-  const { apiKey } = req.query;
-
-  // Verify API key
-  if (apiKey !== process.env.RAILWAY_API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
 
   try {
     const pool = getPool();
@@ -99,7 +137,10 @@ router.get('/list/:bubble_user_id', async (req, res) => {
         room_display_name,
         is_reachable,
         last_seen_at,
-        last_activity_at
+        last_activity_at,
+        registration_source,
+        discovered_at,
+        missing_since
       FROM device_status
       WHERE bubble_user_id = $1
       ORDER BY device_name`,
@@ -121,16 +162,325 @@ router.get('/list/:bubble_user_id', async (req, res) => {
 });
 
 /**
- * Endpoint to unregister a device from a user
+ * Runtime totals per mode, bucketed by hour/day/week/month in the given timezone.
+ * Sessions that span a bucket boundary are split across buckets; open sessions
+ * count up to now.
+ *
+ * Query: ?bucket=day&timezone=UTC&from=ISO&to=ISO
+ */
+router.get('/:deviceKey/runtime', requireScope('devices:read'), async (req, res) => {
+  const { deviceKey } = req.params;
+  const bucket = req.query.bucket || 'day';
+  const timezone = req.query.timezone || 'UTC';
+
+  if (!RUNTIME_BUCKETS.includes(bucket)) {
+    return res.status(400).json({ error: 'Invalid bucket', allowed: RUNTIME_BUCKETS });
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({ error: 'Invalid timezone', message: `Unknown IANA timezone: ${timezone}` });
+  }
+
+  const range = resolveDateRange(req.query, res);
+  if (!range) return;
+
+  const bucketCount = Math.ceil((range.to - range.from) / APPROX_BUCKET_MS[bucket]);
+  if (bucketCount > MAX_RUNTIME_BUCKETS) {
+    return res.status(400).json({
+      error: 'Date range too large',
+      message: `Range would produce more than ${MAX_RUNTIME_BUCKETS} ${bucket} buckets`
+    });
+  }
+
+  try {
+    const pool = getPool();
+
+    if (!(await deviceExists(pool, deviceKey))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    // Closed sessions end at started_at + duration_seconds so sessions discarded
+    // with duration 0 on recovery don't count their wall-clock span
+    const result = await pool.query(
+      `WITH sessions AS (
+        SELECT
+          mode,
+          started_at,
+          CASE
+            WHEN ended_at IS NULL THEN NOW()
+            ELSE started_at + COALESCE(duration_seconds, 0) * INTERVAL '1 second'
+          END AS effective_end
+        FROM runtime_sessions
+        WHERE device_key = $1
+          AND started_at < $3
+          AND (ended_at IS NULL OR ended_at > $2)
+      ),
+      buckets AS (
+        SELECT
+          local_start,
+          local_start AT TIME ZONE $4 AS bucket_start,
+          (local_start + ('1 ' || $5)::INTERVAL) AT TIME ZONE $4 AS bucket_end
+        FROM generate_series(
+          date_trunc($5, $2::TIMESTAMPTZ AT TIME ZONE $4),
+          $3::TIMESTAMPTZ AT TIME ZONE $4,
+          ('1 ' || $5)::INTERVAL
+        ) AS local_start
+      )
+      SELECT
+        b.local_start,
+        b.bucket_start,
+        s.mode,
+        SUM(EXTRACT(EPOCH FROM (
+          LEAST(s.effective_end, b.bucket_end, $3::TIMESTAMPTZ)
+          - GREATEST(s.started_at, b.bucket_start, $2::TIMESTAMPTZ)
+        )))::BIGINT AS runtime_seconds
+      FROM buckets b
+      JOIN sessions s
+        ON s.started_at < b.bucket_end
+       AND s.effective_end > b.bucket_start
+      GROUP BY b.local_start, b.bucket_start, s.mode
+      HAVING SUM(EXTRACT(EPOCH FROM (
+        LEAST(s.effective_end, b.bucket_end, $3::TIMESTAMPTZ)
+        - GREATEST(s.started_at, b.bucket_start, $2::TIMESTAMPTZ)
+      ))) > 0
+      ORDER BY b.local_start, s.mode`,
+      [deviceKey, range.from, range.to, timezone, bucket]
+    );
+
+    const buckets = [];
+    const totals = {};
+    let totalSeconds = 0;
+
+    for (const row of result.rows) {
+      const seconds = parseInt(row.runtime_seconds, 10);
+      const bucketStart = new Date(row.bucket_start).toISOString();
+      let entry = buckets[buckets.length - 1];
+
+      if (!entry || entry.bucketStart !== bucketStart) {
+        entry = { bucketStart, totals: {}, totalSeconds: 0 };
+        buckets.push(entry);
+      }
+
+      entry.totals[row.mode] = seconds;
+      entry.totalSeconds += seconds;
+      totals[row.mode] = (totals[row.mode] || 0) + seconds;
+      totalSeconds += seconds;
+    }
+
+    res.json({
+      success: true,
+      deviceKey,
+      bucket,
+      timezone,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      totals,
+      totalSeconds,
+      buckets
+    });
+  } catch (error) {
+    console.error('Error aggregating runtime:', error);
+    res.status(500).json({
+      error: 'Failed to aggregate runtime',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Raw runtime session listing, newest first, with pagination and date filters
+ *
+ * Query: ?from=ISO&to=ISO&mode=heating&limit=50&offset=0
  */
-router.post('/unregister', async (req, res) => {
-  const { bubble_user_id, device_name, apiKey } = req.body;
+router.get('/:deviceKey/runtime/sessions', requireScope('devices:read'), async (req, res) => {
+  const { deviceKey } = req.params;
+  const { mode } = req.query;
+
+  const limit = req.query.limit === undefined ? DEFAULT_SESSION_PAGE_SIZE : parseInt(req.query.limit, 10);
+  const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
 
-  // Verify API key
-  if (apiKey !== process.env.RAILWAY_API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (isNaN(limit) || limit < 1 || limit > MAX_SESSION_PAGE_SIZE || isNaN(offset) || offset < 0) {
+    return res.status(400).json({
+      error: 'Invalid pagination',
+      message: `limit must be 1-${MAX_SESSION_PAGE_SIZE} and offset must be >= 0`
+    });
   }
 
+  const range = resolveDateRange(req.query, res);
+  if (!range) return;
+
+  try {
+    const pool = getPool();
+
+    if (!(await deviceExists(pool, deviceKey))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const filters = ['device_key = $1', 'started_at >= $2', 'started_at < $3'];
+    const params = [deviceKey, range.from, range.to];
+
+    if (mode) {
+      params.push(mode.toLowerCase());
+      filters.push('mode = $' + params.length);
+    }
+
+    const where = filters.join(' AND ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM runtime_sessions WHERE ${where}`,
+      params
+    );
+
+    const result = await pool.query(
+      `SELECT
+        session_id,
+        mode,
+        equipment_status,
+        started_at,
+        ended_at,
+        duration_seconds,
+        fan_tail_seconds,
+        trigger_source,
+        is_estimated,
+        reconciliation_reason,
+        end_evidence,
+        start_temperature,
+        end_temperature,
+        heat_setpoint,
+        cool_setpoint
+      FROM runtime_sessions
+      WHERE ${where}
+      ORDER BY started_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const total = parseInt(countResult.rows[0].count, 10);
+
+    res.json({
+      success: true,
+      deviceKey,
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      pagination: {
+        limit,
+        offset,
+        total,
+        hasMore: offset + result.rows.length < total
+      },
+      sessions: result.rows
+    });
+  } catch (error) {
+    console.error('Error listing runtime sessions:', error);
+    res.status(500).json({
+      error: 'Failed to list runtime sessions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Issue a thermostat control command through the SDM API
+ *
+ * Body: { command: 'ThermostatMode.SetMode', params: { mode: 'HEAT' }, requestedBy }
+ * Supported: ThermostatMode.SetMode, ThermostatEco.SetMode, Fan.SetTimer,
+ * ThermostatTemperatureSetpoint.SetHeat / SetCool / SetRange (heatF/coolF or heatCelsius/coolCelsius)
+ */
+router.post('/:deviceKey/commands', requireScope('devices:write'), async (req, res) => {
+  const { deviceKey } = req.params;
+  const { command, params } = req.body;
+  const requestedBy = req.body.requestedBy || req.apiKey.name;
+
+  if (!command || typeof command !== 'string') {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['command']
+    });
+  }
+
+  if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+    return res.status(400).json({ error: 'params must be an object' });
+  }
+
+  try {
+    const result = await executeThermostatCommand({
+      deviceKey,
+      command,
+      params: params || {},
+      requestedBy,
+      source: 'api'
+    });
+
+    res.json({
+      success: true,
+      deviceKey,
+      ...result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.code || 'Command failed',
+        message: error.message,
+        commandId: error.commandId
+      });
+    }
+    console.error('Error executing thermostat command:', error);
+    res.status(500).json({
+      error: 'Failed to execute command',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Command audit history for a device, newest first
+ *
+ * Query: ?limit=50&offset=0
+ */
+router.get('/:deviceKey/commands', requireScope('devices:read'), async (req, res) => {
+  const { deviceKey } = req.params;
+
+  const limit = req.query.limit === undefined ? DEFAULT_SESSION_PAGE_SIZE : parseInt(req.query.limit, 10);
+  const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+
+  if (isNaN(limit) || limit < 1 || limit > MAX_SESSION_PAGE_SIZE || isNaN(offset) || offset < 0) {
+    return res.status(400).json({
+      error: 'Invalid pagination',
+      message: `limit must be 1-${MAX_SESSION_PAGE_SIZE} and offset must be >= 0`
+    });
+  }
+
+  try {
+    const pool = getPool();
+
+    if (!(await deviceExists(pool, deviceKey))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const commands = await listCommands(deviceKey, limit, offset);
+
+    res.json({
+      success: true,
+      deviceKey,
+      pagination: { limit, offset },
+      commands
+    });
+  } catch (error) {
+    console.error('Error listing device commands:', error);
+    res.status(500).json({
+      error: 'Failed to list commands',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Endpoint to unregister a device from a user. The device is also excluded
+ * from auto-discovery until it is registered again.
+ */
+router.post('/unregister', requireScope('devices:write'), async (req, res) => {
+  const { bubble_user_id, device_name } = req.body;
+
   if (!bubble_user_id || !device_name) {
     return res.status(400).json({
       error: 'Missing required fields',
@@ -144,7 +494,7 @@ router.post('/unregister', async (req, res) => {
 
     const result = await pool.query(
       `UPDATE device_status
-       SET bubble_user_id = NULL, updated_at = NOW()
+       SET bubble_user_id = NULL, auto_register_disabled = TRUE, updated_at = NOW()
        WHERE device_key = $1 AND bubble_user_id = $2
        RETURNING device_key`,
       [deviceKey, bubble_user_id]
@@ -0,0 +1,130 @@
+const express = require('express');
+const {
+  parseTimeOfDay,
+  getSchedule,
+  saveSchedule,
+  deleteSchedule
+} = require('../services/fanScheduler');
+const { requireScope } = require('../services/apiKeys');
+const { isValidTimezone, requireDevice } = require('./helpers');
+
+const router = express.Router();
+
+/**
+ * Validates a schedule body, returning null (after responding) when invalid
+ */
+function parseSchedule(body, res) {
+  const minutesPerHour = parseInt(body.minutesPerHour, 10);
+  if (isNaN(minutesPerHour) || minutesPerHour < 1 || minutesPerHour > 60) {
+    res.status(400).json({ error: 'minutesPerHour must be between 1 and 60' });
+    return null;
+  }
+
+  const schedule = {
+    enabled: body.enabled === undefined ? true : body.enabled === true || body.enabled === 'true',
+    minutesPerHour,
+    activeStart: body.activeHours?.start ?? null,
+    activeEnd: body.activeHours?.end ?? null,
+    quietStart: body.quietHours?.start ?? null,
+    quietEnd: body.quietHours?.end ?? null,
+    timezone: body.timezone || 'UTC'
+  };
+
+  for (const [name, start, end] of [
+    ['activeHours', schedule.activeStart, schedule.activeEnd],
+    ['quietHours', schedule.quietStart, schedule.quietEnd]
+  ]) {
+    if ((start === null) !== (end === null) || (start !== null && (parseTimeOfDay(start) === null || parseTimeOfDay(end) === null))) {
+      res.status(400).json({ error: `${name} must have both start and end as HH:MM` });
+      return null;
+    }
+  }
+
+  if (!isValidTimezone(schedule.timezone)) {
+    res.status(400).json({ error: 'Invalid timezone', message: 'timezone must be an IANA name such as America/Chicago' });
+    return null;
+  }
+
+  return schedule;
+}
+
+function formatSchedule(row) {
+  return {
+    deviceKey: row.device_key,
+    enabled: row.enabled,
+    minutesPerHour: row.minutes_per_hour,
+    activeHours: row.active_start ? { start: row.active_start, end: row.active_end } : null,
+    quietHours: row.quiet_start ? { start: row.quiet_start, end: row.quiet_end } : null,
+    timezone: row.timezone,
+    nextRunAt: row.next_run_at,
+    activeUntil: row.active_until,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Circulation schedule for a device
+ */
+router.get('/:deviceKey', requireScope('devices:read'), async (req, res) => {
+  const { deviceKey } = req.params;
+
+  try {
+    if (!(await requireDevice(deviceKey, res))) return;
+
+    const schedule = await getSchedule(deviceKey);
+    if (!schedule) {
+      return res.status(404).json({ error: 'No fan schedule for this device' });
+    }
+
+    res.json({ success: true, schedule: formatSchedule(schedule) });
+  } catch (error) {
+    console.error('❌ Failed to load fan schedule:', error);
+    res.status(500).json({ error: 'Failed to load fan schedule', message: error.message });
+  }
+});
+
+/**
+ * Create or replace a circulation schedule; the next run is evaluated immediately
+ */
+router.put('/:deviceKey', requireScope('devices:write'), async (req, res) => {
+  const { deviceKey } = req.params;
+  const schedule = parseSchedule(req.body, res);
+  if (!schedule) return;
+
+  try {
+    if (!(await requireDevice(deviceKey, res))) return;
+
+    const saved = await saveSchedule(deviceKey, schedule);
+
+    console.log(`✅ Fan schedule saved for device ${deviceKey}: ${schedule.minutesPerHour} min/hour`);
+    res.json({ success: true, schedule: formatSchedule(saved) });
+  } catch (error) {
+    console.error('❌ Failed to save fan schedule:', error);
+    res.status(500).json({ error: 'Failed to save fan schedule', message: error.message });
+  }
+});
+
+/**
+ * Remove a schedule, stopping a scheduled fan run that is still in progress
+ */
+router.delete('/:deviceKey', requireScope('devices:write'), async (req, res) => {
+  const { deviceKey } = req.params;
+
+  try {
+    const deleted = await deleteSchedule(deviceKey);
+    if (!deleted) {
+      return res.status(404).json({ error: 'No fan schedule for this device' });
+    }
+
+    console.log(`✅ Fan schedule deleted for device ${deviceKey}`);
+    res.json({ success: true, message: 'Fan schedule deleted' });
+  } catch (error) {
+    console.error('❌ Failed to delete fan schedule:', error);
+    res.status(500).json({ error: 'Failed to delete fan schedule', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const { getPool } = require('../database/db');
+const {
+  ALERT_THRESHOLDS,
+  getActiveFilter,
+  calculateFilterUsage,
+  replaceFilter,
+  updateFilterSpecs
+} = require('../services/filterTracker');
+const { requireScope } = require('../services/apiKeys');
+const { requireDevice } = require('./helpers');
+
+const router = express.Router();
+
+/**
+ * Pulls optional filter specs from a request body, rejecting malformed values
+ */
+function parseFilterSpecs(body, res) {
+  const specs = {};
+
+  if (body.profileId !== undefined && body.profileId !== null) {
+    specs.profileId = parseInt(body.profileId, 10);
+    if (isNaN(specs.profileId)) {
+      res.status(400).json({ error: 'profileId must be an integer' });
+      return null;
+    }
+  }
+  if (body.mervRating !== undefined && body.mervRating !== null) {
+    specs.mervRating = parseInt(body.mervRating, 10);
+    if (isNaN(specs.mervRating) || specs.mervRating < 1 || specs.mervRating > 20) {
+      res.status(400).json({ error: 'mervRating must be between 1 and 20' });
+      return null;
+    }
+  }
+  if (body.nominalLifeHours !== undefined && body.nominalLifeHours !== null) {
+    specs.nominalLifeHours = parseFloat(body.nominalLifeHours);
+    if (isNaN(specs.nominalLifeHours) || specs.nominalLifeHours <= 0) {
+      res.status(400).json({ error: 'nominalLifeHours must be a positive number' });
+      return null;
+    }
+  }
+  if (body.installedAt !== undefined && body.installedAt !== null) {
+    specs.installedAt = new Date(body.installedAt);
+    if (isNaN(specs.installedAt.getTime())) {
+      res.status(400).json({ error: 'installedAt must be an ISO 8601 timestamp' });
+      return null;
+    }
+  }
+
+  return specs;
+}
+
+function handleFilterError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ error: message, message: error.message });
+}
+
+/**
+ * List filter profiles
+ */
+router.get('/profiles', requireScope('devices:read'), async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await pool.query('SELECT * FROM filter_profiles ORDER BY name');
+    res.json({ success: true, count: result.rows.length, profiles: result.rows });
+  } catch (error) {
+    handleFilterError(res, error, 'Failed to list filter profiles');
+  }
+});
+
+/**
+ * Create or update a filter profile by name.
+ * Weights scale blower-hours per mode (1.0 = one hour of filter life per hour of runtime).
+ */
+router.post('/profiles', requireScope('devices:write'), async (req, res) => {
+  const { name, mervRating, nominalLifeHours, heatWeight, coolWeight, fanWeight, auxHeatWeight } = req.body;
+
+  if (!name || nominalLifeHours === undefined) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['name', 'nominalLifeHours']
+    });
+  }
+
+  const lifeHours = parseFloat(nominalLifeHours);
+  if (isNaN(lifeHours) || lifeHours <= 0) {
+    return res.status(400).json({ error: 'nominalLifeHours must be a positive number' });
+  }
+
+  const weights = [heatWeight, coolWeight, fanWeight, auxHeatWeight].map((w) =>
+    w === undefined || w === null ? null : parseFloat(w)
+  );
+  if (weights.some((w) => w !== null && (isNaN(w) || w < 0))) {
+    return res.status(400).json({ error: 'Weights must be non-negative numbers' });
+  }
+
+  try {
+    const pool = getPool();
+    const result = await pool.query(`
+      INSERT INTO filter_profiles (name, merv_rating, nominal_life_hours, heat_weight, cool_weight, fan_weight, aux_heat_weight, created_at, updated_at)
+      VALUES ($1, $2, $3, COALESCE($4, 1.0), COALESCE($5, 1.0), COALESCE($6, 1.0), COALESCE($7, 1.0), NOW(), NOW())
+      ON CONFLICT (name) DO UPDATE SET
+        merv_rating = EXCLUDED.merv_rating,
+        nominal_life_hours = EXCLUDED.nominal_life_hours,
+        heat_weight = COALESCE($4, filter_profiles.heat_weight),
+        cool_weight = COALESCE($5, filter_profiles.cool_weight),
+        fan_weight = COALESCE($6, filter_profiles.fan_weight),
+        aux_heat_weight = COALESCE($7, filter_profiles.aux_heat_weight),
+        updated_at = NOW()
+      RETURNING *
+    `, [name, mervRating ?? null, lifeHours, ...weights]);
+
+    console.log(`✅ Filter profile saved: ${name}`);
+    res.json({ success: true, profile: result.rows[0] });
+  } catch (error) {
+    handleFilterError(res, error, 'Failed to save filter profile');
+  }
+});
+
+/**
+ * Current filter for a device with live usage, plus recent replacement history
+ */
+router.get('/:deviceKey', requireScope('devices:read'), async (req, res) => {
+  const { deviceKey } = req.params;
+
+  try {
+    if (!(await requireDevice(deviceKey, res))) return;
+
+    const pool = getPool();
+    const filter = await getActiveFilter(deviceKey);
+    const usage = filter ? await calculateFilterUsage(filter) : null;
+
+    const history = await pool.query(
+      `SELECT id, profile_id, merv_rating, nominal_life_hours, installed_at, replaced_at, consumed_hours, usage_percent
+       FROM device_filters
+       WHERE device_key = $1 AND is_active = FALSE
+       ORDER BY installed_at DESC
+       LIMIT 10`,
+      [deviceKey]
+    );
+
+    res.json({
+      success: true,
+      deviceKey,
+      thresholds: ALERT_THRESHOLDS,
+      filter,
+      usage,
+      history: history.rows
+    });
+  } catch (error) {
+    handleFilterError(res, error, 'Failed to load filter');
+  }
+});
+
+/**
+ * Set or correct the active filter's specs without resetting its usage
+ */
+router.put('/:deviceKey', requireScope('devices:write'), async (req, res) => {
+  const { deviceKey } = req.params;
+  const specs = parseFilterSpecs(req.body, res);
+  if (!specs) return;
+
+  try {
+    if (!(await requireDevice(deviceKey, res))) return;
+
+    const filter = await updateFilterSpecs(deviceKey, specs);
+    const usage = await calculateFilterUsage(filter);
+
+    console.log(`✅ Filter specs updated for device ${deviceKey}`);
+    res.json({ success: true, filter, usage });
+  } catch (error) {
+    handleFilterError(res, error, 'Failed to update filter');
+  }
+});
+
+/**
+ * Record a filter replacement: closes the current filter and starts a new one at 0% usage
+ */
+router.post('/:deviceKey/replace', requireScope('devices:write'), async (req, res) => {
+  const { deviceKey } = req.params;
+  const specs = parseFilterSpecs(req.body, res);
+  if (!specs) return;
+
+  try {
+    if (!(await requireDevice(deviceKey, res))) return;
+
+    const { previous, installed } = await replaceFilter(deviceKey, specs);
+
+    res.json({
+      success: true,
+      message: 'Filter replaced',
+      previous,
+      filter: installed
+    });
+  } catch (error) {
+    handleFilterError(res, error, 'Failed to replace filter');
+  }
+});
+
+module.exports = router;
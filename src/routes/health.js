@@ -0,0 +1,45 @@
+const express = require('express');
+const { getLiveness, getReadiness } = require('../services/health');
+const { createLogger } = require('../services/logger');
+
+const router = express.Router();
+const log = createLogger('health');
+
+/**
+ * Basic process status (always 200 while the process serves requests)
+ */
+router.get('/', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    memory: {
+      used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB',
+      total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + 'MB'
+    }
+  });
+});
+
+/**
+ * Liveness: 503 when this replica should be restarted
+ */
+router.get('/live', (req, res) => {
+  const report = getLiveness();
+  res.status(report.status === 'fail' ? 503 : 200).json(report);
+});
+
+/**
+ * Readiness: 503 when this replica shouldn't receive traffic. Each component
+ * is reported under checks with its own status.
+ */
+router.get('/ready', async (req, res) => {
+  try {
+    const report = await getReadiness();
+    res.status(report.status === 'fail' ? 503 : 200).json(report);
+  } catch (error) {
+    log.error('Readiness check failed', { err: error });
+    res.status(503).json({ status: 'fail', error: 'Readiness check failed', message: error.message });
+  }
+});
+
+module.exports = router;
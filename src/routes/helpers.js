@@ -0,0 +1,28 @@
+const { getPool } = require('../database/db');
+
+/**
+ * Shared request helpers for the route modules
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Responds 404 and resolves false when the device isn't in device_status
+ */
+async function requireDevice(deviceKey, res) {
+  const pool = getPool();
+  const result = await pool.query('SELECT 1 FROM device_status WHERE device_key = $1', [deviceKey]);
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Device not found' });
+    return false;
+  }
+  return true;
+}
+
+module.exports = { isValidTimezone, requireDevice };
@@ -0,0 +1,24 @@
+const express = require('express');
+const { renderMetrics } = require('../services/metrics');
+const { requireScope } = require('../services/apiKeys');
+const { createLogger } = require('../services/logger');
+
+const router = express.Router();
+const log = createLogger('metrics');
+
+/**
+ * Prometheus scrape endpoint (text exposition format). Scrape with an API key
+ * holding metrics:read, e.g. `authorization: { credentials: <key> }` in the
+ * Prometheus scrape config.
+ */
+router.get('/', requireScope('metrics:read'), async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await renderMetrics());
+  } catch (error) {
+    log.error('Failed to render metrics', { err: error });
+    res.status(500).json({ error: 'Failed to render metrics', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const {
+  listOutboxEvents,
+  replayOutboxEvents,
+  purgeOutboxEvents
+} = require('../services/ingestOutbox');
+const { requireScope } = require('../services/apiKeys');
+
+const router = express.Router();
+
+const OUTBOX_STATUSES = ['pending', 'dead'];
+
+/**
+ * Reads { ids, status, deviceKey } from the query string or body
+ */
+function parseOutboxFilter(source, res) {
+  const filter = {};
+
+  if (source.ids !== undefined) {
+    const ids = Array.isArray(source.ids) ? source.ids : String(source.ids).split(',');
+    filter.ids = ids.map((id) => parseInt(id, 10));
+    if (filter.ids.some((id) => isNaN(id))) {
+      res.status(400).json({ error: 'ids must be integers' });
+      return null;
+    }
+  }
+  if (source.status !== undefined) {
+    if (!OUTBOX_STATUSES.includes(source.status)) {
+      res.status(400).json({ error: 'Invalid status', allowed: OUTBOX_STATUSES });
+      return null;
+    }
+    filter.status = source.status;
+  }
+  if (source.deviceKey) filter.deviceKey = source.deviceKey;
+
+  return filter;
+}
+
+/**
+ * List queued and dead-lettered Core Ingest events
+ *
+ * Query: ?status=dead&deviceKey=&limit=100&offset=0
+ */
+router.get('/', requireScope('admin'), async (req, res) => {
+  const filter = parseOutboxFilter(req.query, res);
+  if (!filter) return;
+
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+
+  try {
+    const { counts, events } = await listOutboxEvents(filter, limit, offset);
+    res.json({ success: true, counts, count: events.length, events });
+  } catch (error) {
+    console.error('Error listing outbox events:', error);
+    res.status(500).json({ error: 'Failed to list outbox events', message: error.message });
+  }
+});
+
+/**
+ * Replay events: reset to pending with a fresh attempt budget.
+ * Defaults to all dead-lettered events when no filter is given.
+ */
+router.post('/replay', requireScope('admin'), async (req, res) => {
+  const filter = parseOutboxFilter(req.body || {}, res);
+  if (!filter) return;
+  if (!filter.ids && !filter.status) filter.status = 'dead';
+
+  try {
+    const replayed = await replayOutboxEvents(filter);
+    console.log(`🔁 [Outbox] Replaying ${replayed} event(s)`);
+    res.json({ success: true, replayed });
+  } catch (error) {
+    console.error('Error replaying outbox events:', error);
+    res.status(500).json({ error: 'Failed to replay outbox events', message: error.message });
+  }
+});
+
+/**
+ * Purge events permanently. Requires at least one filter so the whole
+ * queue can't be dropped by accident.
+ */
+router.delete('/', requireScope('admin'), async (req, res) => {
+  const filter = parseOutboxFilter({ ...req.query, ...(req.body || {}) }, res);
+  if (!filter) return;
+
+  if (!filter.ids && !filter.status && !filter.deviceKey) {
+    return res.status(400).json({
+      error: 'Missing filter',
+      message: 'Provide ids, status or deviceKey to purge'
+    });
+  }
+
+  try {
+    const purged = await purgeOutboxEvents(filter);
+    console.log(`🗑️ [Outbox] Purged ${purged} event(s)`);
+    res.json({ success: true, purged });
+  } catch (error) {
+    console.error('Error purging outbox events:', error);
+    res.status(500).json({ error: 'Failed to purge outbox events', message: error.message });
+  }
+});
+
+module.exports = router;
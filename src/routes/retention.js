@@ -0,0 +1,38 @@
+const express = require('express');
+const { runRetention, isRetentionRunning, getRetentionStatus } = require('../services/retention');
+const { requireScope } = require('../services/apiKeys');
+const { createLogger } = require('../services/logger');
+
+const router = express.Router();
+const log = createLogger('retention');
+
+/**
+ * Table sizes, oldest rows, retention policies and the last run on this replica
+ */
+router.get('/', requireScope('admin'), async (req, res) => {
+  try {
+    const status = await getRetentionStatus();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    log.error('Failed to read retention status', { err: error });
+    res.status(500).json({ error: 'Failed to read retention status', message: error.message });
+  }
+});
+
+/**
+ * Run retention now. Large backlogs can take a while, so this returns 202
+ * and the outcome shows up as last_run in GET /admin/retention.
+ */
+router.post('/run', requireScope('admin'), (req, res) => {
+  if (isRetentionRunning()) {
+    return res.status(409).json({ error: 'Retention is already running on this replica' });
+  }
+
+  runRetention().then(({ skipped }) => {
+    if (skipped) log.warn('On-demand retention run skipped, another replica is running retention');
+  });
+  log.info('On-demand retention run started');
+  res.status(202).json({ success: true, started: true });
+});
+
+module.exports = router;
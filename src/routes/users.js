@@ -0,0 +1,101 @@
+const express = require('express');
+const { getPool } = require('../database/db');
+const { syncUserStructures } = require('../services/nestPoller');
+const { requireScope } = require('../services/apiKeys');
+
+const router = express.Router();
+
+function formatDevice(row) {
+  return {
+    deviceKey: row.device_key,
+    deviceName: row.device_name,
+    customName: row.custom_name,
+    roomDisplayName: row.room_display_name,
+    isReachable: row.is_reachable,
+    lastSeenAt: row.last_seen_at
+  };
+}
+
+/**
+ * A user's homes with their rooms and the thermostats in each room.
+ * Devices whose parent is the structure itself are listed under the structure;
+ * devices not matched to any synced structure are returned as unassigned.
+ *
+ * Query: ?refresh=true (sync from SDM before answering)
+ */
+router.get('/:id/structures', requireScope('devices:read'), async (req, res) => {
+  const userId = req.params.id;
+
+  try {
+    if (req.query.refresh === 'true') {
+      await syncUserStructures(userId);
+    }
+
+    const pool = getPool();
+    const [structuresResult, roomsResult, devicesResult] = await Promise.all([
+      pool.query(
+        `SELECT structure_name, structure_key, display_name, synced_at
+         FROM structures WHERE user_id = $1 ORDER BY display_name NULLS LAST, structure_name`,
+        [userId]
+      ),
+      pool.query(
+        `SELECT room_name, room_key, structure_name, display_name
+         FROM rooms WHERE user_id = $1 ORDER BY display_name NULLS LAST, room_name`,
+        [userId]
+      ),
+      pool.query(
+        `SELECT device_key, device_name, custom_name, room_display_name, parent_resource, is_reachable, last_seen_at
+         FROM device_status WHERE bubble_user_id = $1 ORDER BY device_name`,
+        [userId]
+      )
+    ]);
+
+    const structures = structuresResult.rows.map((row) => ({
+      structureKey: row.structure_key,
+      name: row.structure_name,
+      displayName: row.display_name,
+      syncedAt: row.synced_at,
+      rooms: [],
+      devices: []
+    }));
+    const structuresByName = new Map(structures.map((s) => [s.name, s]));
+    const roomsByName = new Map();
+
+    for (const row of roomsResult.rows) {
+      const structure = structuresByName.get(row.structure_name);
+      if (!structure) continue;
+      const room = { roomKey: row.room_key, name: row.room_name, displayName: row.display_name, devices: [] };
+      structure.rooms.push(room);
+      roomsByName.set(row.room_name, room);
+    }
+
+    const unassignedDevices = [];
+    for (const row of devicesResult.rows) {
+      const parent = row.parent_resource;
+      const room = parent && roomsByName.get(parent);
+      if (room) {
+        room.devices.push(formatDevice(row));
+        continue;
+      }
+
+      const structure = parent && structures.find((s) => parent === s.name || parent.startsWith(s.name + '/'));
+      if (structure) {
+        structure.devices.push(formatDevice(row));
+      } else {
+        unassignedDevices.push(formatDevice(row));
+      }
+    }
+
+    res.json({
+      success: true,
+      userId,
+      structures,
+      unassignedDevices
+    });
+  } catch (error) {
+    console.error('❌ Failed to load structures:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to load structures', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,15 @@
 
 const express = require('express');
 const { handleDeviceEvent } = require('../services/runtimeTracker'); // ✅ updated import
+const { verifyPubSubPush, getPushAuthStats } = require('../services/pubsubAuth');
+const { buildDedupKeys, claimEvent, releaseEvent } = require('../services/eventDedup');
+const { withDeviceLock, getLockedDevices } = require('../services/deviceLock');
+const { isPushEnabled, recordEventReceived } = require('../services/pubsubListener');
+const { requireScope } = require('../services/apiKeys');
+const { createLogger, withCorrelationId, newCorrelationId } = require('../services/logger');
+const { metrics } = require('../services/metrics');
 const router = express.Router();
-
-// Per-device locks to prevent race conditions
-const processingLocks = new Map();
+const log = createLogger('webhook');
 
 /**
  * Extract a unique device key from event data
@@ -24,98 +29,101 @@ function extractDeviceName(eventData) {
   return eventData?.resourceUpdate?.name || 'Unknown Device';
 }
 
+/**
+ * In INGESTION_MODE=pull the push endpoint is switched off
+ */
+function rejectWhenPushDisabled(req, res, next) {
+  if (!isPushEnabled()) {
+    metrics.webhookEventsRejected.inc({ reason: 'push_disabled' });
+    return res.status(404).json({ error: 'Push ingestion disabled (INGESTION_MODE=pull)' });
+  }
+  next();
+}
+
 /**
  * Main Google Pub/Sub Webhook
  */
-router.post('/', async (req, res) => {
-  console.log('\n========================================');
-  console.log('🔔 WEBHOOK RECEIVED FROM GOOGLE');
-  console.log('========================================');
-  console.log('Raw body:', JSON.stringify(req.body, null, 2));
+router.post('/', rejectWhenPushDisabled, verifyPubSubPush, async (req, res) => {
+  // Receipt time, before lock waits; runtime math uses the SDM event timestamp
+  const receivedAt = new Date();
+  recordEventReceived();
+  const correlationId = newCorrelationId();
+  const messageId = req.body?.message?.messageId;
+  log.debug('Pub/Sub push received', { correlation_id: correlationId, message_id: messageId, body: req.body });
 
   // ✅ Immediately acknowledge (prevents Pub/Sub retry)
   res.status(200).json({ status: 'received' });
   res.end();
 
   // Process asynchronously (don’t block response)
-  process.nextTick(async () => {
-    let eventData = req.body;
+  process.nextTick(() => withCorrelationId(correlationId, async () => {
+    // ✅ Already authenticated and decoded by verifyPubSubPush
+    const eventData = req.pubsubEvent;
     let deviceKey = null;
+    let dedupKeys = [];
 
     try {
-      // ✅ Decode Pub/Sub payload
-      if (req.body.message && req.body.message.data) {
-        const decodedData = Buffer.from(req.body.message.data, 'base64').toString('utf-8');
-        console.log('📦 Decoded data:', decodedData);
-        eventData = JSON.parse(decodedData);
-        console.log('📋 Parsed event:', JSON.stringify(eventData, null, 2));
-      }
-
-      console.log('========================================\n');
+      log.debug('Parsed event', { event: eventData });
 
       // Extract key + name
       deviceKey = extractDeviceKey(eventData);
       const deviceName = extractDeviceName(eventData);
 
       if (!deviceKey) {
-        console.error('⚠️ Cannot extract device key from event');
+        log.error('Cannot extract device key from event', { message_id: messageId });
         return;
       }
 
-      // Lock: prevent simultaneous processing for the same device
-      if (processingLocks.has(deviceKey)) {
-        console.log(`⏳ Waiting for previous event to finish for device: ${deviceKey}`);
-        await processingLocks.get(deviceKey);
+      // Pub/Sub push is at-least-once: skip redeliveries of the same message/event
+      dedupKeys = buildDedupKeys({ messageId, eventId: eventData.eventId });
+      if (!(await claimEvent(dedupKeys, deviceKey))) {
+        log.info('Duplicate event skipped', { device_key: deviceKey, dedup_keys: dedupKeys });
+        metrics.duplicateEvents.inc({ source: 'push' });
+        return;
       }
 
-      // Create a processing promise and store it in the map
-      const processingPromise = (async () => {
-        try {
-          console.log(`📩 Processing event for device: ${deviceKey}`);
-
-          await handleDeviceEvent({
-            ...eventData,
-            deviceKey,
-            deviceName
-          });
-
-          console.log(`✅ Event handled successfully for device: ${deviceKey}`);
-        } catch (err) {
-          console.error(`❌ Error processing event for device ${deviceKey}:`, err);
+      // Lock: prevent simultaneous processing for the same device
+      let handled = false;
+      await withDeviceLock(deviceKey, async () => {
+        log.info('Processing event', { device_key: deviceKey, message_id: messageId, event_id: eventData.eventId });
+
+        handled = await handleDeviceEvent({
+          ...eventData,
+          deviceKey,
+          deviceName,
+          receivedAt
+        });
+
+        if (handled) {
+          log.info('Event handled', { device_key: deviceKey });
         }
-      })();
-
-      processingLocks.set(deviceKey, processingPromise);
-
-      // Wait for this device’s event to complete
-      await processingPromise;
-
-      // Unlock
-      processingLocks.delete(deviceKey);
-      console.log(`🔓 Lock released for device: ${deviceKey}`);
+      });
+      if (!handled) throw new Error('handleDeviceEvent failed');
     } catch (error) {
-      console.error('❌ Error processing webhook event:', error);
-      if (deviceKey && processingLocks.has(deviceKey)) {
-        processingLocks.delete(deviceKey);
-        console.log(`🔓 Lock released due to error for device: ${deviceKey}`);
-      }
+      // Already acked, so Pub/Sub won't redeliver; forget the claim so a resend isn't skipped
+      await releaseEvent(dedupKeys);
+      log.error('Dropped webhook event', { device_key: deviceKey, message_id: messageId, err: error });
+      metrics.droppedEvents.inc();
     }
-  });
+  }));
 });
 
 /**
- * Debug endpoint — list currently locked devices
+ * Debug endpoint — list devices with events queued or in flight on this replica
  */
-router.get('/locks', (req, res) => {
-  const { apiKey } = req.query;
-  if (apiKey !== process.env.RAILWAY_API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
+router.get('/locks', requireScope('admin'), (req, res) => {
+  const lockedDevices = getLockedDevices();
   res.json({
-    activeLocksCount: processingLocks.size,
-    lockedDevices: Array.from(processingLocks.keys()),
+    activeLocksCount: lockedDevices.length,
+    lockedDevices,
   });
 });
 
+/**
+ * Push authentication counters — accepted and rejected requests by reason
+ */
+router.get('/stats', requireScope('admin'), (req, res) => {
+  res.json(getPushAuthStats());
+});
+
 module.exports = router;
@@ -0,0 +1,161 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getPool } = require('../database/db');
+
+/**
+ * tokens:write   - store OAuth tokens and read token health (Bubble)
+ * devices:read   - device lists, runtime, filters, schedules, structures
+ * devices:write  - register devices, send commands, edit filters and schedules
+ * devices:delete - delete users and devices
+ * metrics:read   - Prometheus scrape endpoint (GET /metrics)
+ * admin          - everything, including outbox and API key management
+ */
+const SCOPES = ['tokens:write', 'devices:read', 'devices:write', 'devices:delete', 'metrics:read', 'admin'];
+
+const KEY_PREFIX = 'sfp';
+const ALLOW_LEGACY_API_KEY_PARAMS = process.env.ALLOW_LEGACY_API_KEY_PARAMS === 'true';
+
+const warnedLegacyPaths = new Set();
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Keys come from `Authorization: Bearer <key>` or `x-api-key`. The old
+ * ?apiKey= / body apiKey is only read when ALLOW_LEGACY_API_KEY_PARAMS=true,
+ * since query strings end up in access logs.
+ */
+function extractApiKey(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) return authHeader.slice(7).trim();
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+  if (ALLOW_LEGACY_API_KEY_PARAMS) {
+    const legacy = req.query?.apiKey || req.body?.apiKey;
+    if (legacy) {
+      const path = req.baseUrl + (req.route?.path || '');
+      if (!warnedLegacyPaths.has(path)) {
+        warnedLegacyPaths.add(path);
+        console.warn(`⚠️  apiKey passed in query/body for ${path}; send it in the x-api-key header instead`);
+      }
+      return legacy;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves a presented key to { id, name, scopes }, or null when unknown or revoked.
+ * RAILWAY_API_KEY, when set, remains a bootstrap key with admin scope.
+ */
+async function authenticateApiKey(key) {
+  if (!key) return null;
+
+  const presentedHash = hashKey(key);
+
+  if (process.env.RAILWAY_API_KEY && safeEqual(presentedHash, hashKey(process.env.RAILWAY_API_KEY))) {
+    return { id: null, name: 'RAILWAY_API_KEY', scopes: ['admin'] };
+  }
+
+  const match = /^sfp_([0-9a-f]{12})_/.exec(key);
+  if (!match) return null;
+
+  const pool = getPool();
+  const result = await pool.query(
+    'SELECT id, name, key_hash, scopes FROM api_keys WHERE key_id = $1 AND revoked_at IS NULL',
+    [match[1]]
+  );
+  const row = result.rows[0];
+  if (!row || !safeEqual(presentedHash, Buffer.from(row.key_hash, 'hex'))) return null;
+
+  // Throttled so busy keys don't write on every request
+  pool.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [row.id]
+  ).catch((err) => console.error('[apiKeys] Error updating last_used_at:', err.message));
+
+  return { id: row.id, name: row.name, scopes: row.scopes };
+}
+
+function hasScope(grantedScopes, scope) {
+  return grantedScopes.includes('admin') || grantedScopes.includes(scope);
+}
+
+/**
+ * Middleware: requires a valid API key holding at least one of the given scopes.
+ * Sets req.apiKey to { id, name, scopes }.
+ */
+function requireScope(...scopes) {
+  return async (req, res, next) => {
+    try {
+      const apiKey = await authenticateApiKey(extractApiKey(req));
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      if (!scopes.some((scope) => hasScope(apiKey.scopes, scope))) {
+        return res.status(403).json({ error: 'Forbidden', message: `Requires scope: ${scopes.join(' or ')}` });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      console.error('❌ Error checking API key:', error.message);
+      res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+  };
+}
+
+/**
+ * Creates a key; the plaintext is returned once and only its hash is stored
+ */
+async function createApiKey({ name, scopes, createdBy = null }) {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const pool = getPool();
+  const result = await pool.query(
+    `INSERT INTO api_keys (name, key_id, key_hash, scopes, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     RETURNING id, name, key_id, scopes, created_by, created_at`,
+    [name, keyId, hashKey(key).toString('hex'), scopes, createdBy]
+  );
+
+  return { ...result.rows[0], key };
+}
+
+async function listApiKeys() {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT id, name, key_id, scopes, created_by, created_at, last_used_at, revoked_at
+     FROM api_keys
+     ORDER BY created_at DESC`
+  );
+  return result.rows;
+}
+
+async function revokeApiKey(id) {
+  const pool = getPool();
+  const result = await pool.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id, name, key_id, revoked_at`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  SCOPES,
+  requireScope,
+  authenticateApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getLockPool } = require('../database/db');
+const { metrics, registerCollector } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('coordination');
+
+/**
+ * Cross-replica coordination through Postgres advisory locks. Locks use the
+ * two-key form: a namespace per purpose plus a 32-bit hash of the name.
+ * Session-level locks live on a lock-pool connection held for the task, and
+ * are dropped by Postgres if that connection dies.
+ */
+const LOCK_NAMESPACE = {
+  device: 5101,
+  leader: 5102,
+  job: 5103
+};
+
+const LEADER_HEARTBEAT_MS = parseInt(process.env.LEADER_HEARTBEAT_MS || '15000', 10);
+
+const elections = new Map();
+
+function lockKey(name) {
+  return crypto.createHash('sha1').update(String(name)).digest().readInt32BE(0);
+}
+
+/**
+ * Checks out a lock-pool client with an 'error' listener attached. A checked-out
+ * client has no pool listener, so without one a dropped connection while the
+ * lock is held would be an unhandled 'error' event and crash the process.
+ */
+async function connectLockClient(onError) {
+  const client = await getLockPool().connect();
+  const listener = (err) => onError(err, client);
+  client.on('error', listener);
+
+  // Detach on release; the pool re-attaches its own idle listener
+  const release = client.release;
+  client.release = (err) => {
+    client.removeListener('error', listener);
+    return release(err);
+  };
+  return client;
+}
+
+// For task locks: note the failure and let the task's finally release the client with it
+function onTaskLockError(err, client) {
+  client.lockError = err;
+  log.error('Advisory lock connection lost, lock released by Postgres', { err });
+}
+
+async function unlockAndRelease(client, namespace, key) {
+  if (client.lockError) {
+    client.release(client.lockError);
+    return;
+  }
+  try {
+    await client.query('SELECT pg_advisory_unlock($1, $2)', [namespace, key]);
+    client.release();
+  } catch (err) {
+    // Destroying the connection releases anything it still holds
+    log.error('Failed to release advisory lock, dropping connection', { namespace, err });
+    client.release(err);
+  }
+}
+
+/**
+ * Runs fn while holding the lock, waiting for other holders (up to the lock
+ * pool's statement timeout)
+ */
+async function withAdvisoryLock(namespace, name, fn) {
+  const key = lockKey(name);
+  const client = await connectLockClient(onTaskLockError);
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1, $2)', [namespace, key]);
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await unlockAndRelease(client, namespace, key);
+  }
+}
+
+/**
+ * Runs fn only if no other replica holds the lock. Resolves false when skipped.
+ */
+async function tryWithAdvisoryLock(namespace, name, fn) {
+  const key = lockKey(name);
+  const client = await connectLockClient(onTaskLockError);
+
+  let acquired;
+  try {
+    const result = await client.query('SELECT pg_try_advisory_lock($1, $2) AS acquired', [namespace, key]);
+    acquired = result.rows[0].acquired;
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+
+  if (!acquired) {
+    client.release();
+    return false;
+  }
+
+  try {
+    await fn();
+    return true;
+  } finally {
+    await unlockAndRelease(client, namespace, key);
+  }
+}
+
+/**
+ * Keeps exactly one replica running a role. Every LEADER_HEARTBEAT_MS a
+ * follower tries to take the role's lock and the leader checks its lock
+ * connection; if that connection is lost, Postgres frees the lock, the leader
+ * steps down and another replica takes over on its next attempt.
+ */
+function startLeaderElection(role, { onElected, onDemoted }) {
+  if (elections.has(role)) return;
+
+  const election = { client: null, timer: null, busy: false, onElected, onDemoted };
+  elections.set(role, election);
+
+  // Runs once per lost connection, whether the heartbeat or the client's 'error' event notices first
+  const stepDown = async (err, client) => {
+    if (!client || election.client !== client) return;
+    election.client = null;
+    log.warn('Lost leadership', { role, err });
+    client.release(err);
+    try {
+      await onDemoted();
+    } catch (demoteErr) {
+      log.error('Error stopping role after losing leadership', { role, err: demoteErr });
+    }
+  };
+
+  const attempt = async () => {
+    if (election.busy) return;
+    election.busy = true;
+    try {
+      if (election.client) {
+        const client = election.client;
+        await client.query('SELECT 1').catch((err) => stepDown(err, client));
+        return;
+      }
+
+      // Errors before election reject the pending query and are logged below
+      const client = await connectLockClient((err, lostClient) => stepDown(err, lostClient));
+      let acquired = false;
+      try {
+        const result = await client.query('SELECT pg_try_advisory_lock($1, $2) AS acquired', [LOCK_NAMESPACE.leader, lockKey(role)]);
+        acquired = result.rows[0].acquired;
+      } finally {
+        if (!acquired) client.release();
+      }
+      if (!acquired || !elections.has(role)) {
+        if (acquired) await unlockAndRelease(client, LOCK_NAMESPACE.leader, lockKey(role));
+        return;
+      }
+
+      election.client = client;
+      log.info('This replica is now the leader', { role });
+      await onElected();
+    } catch (err) {
+      log.error('Leader election error', { role, err });
+    } finally {
+      election.busy = false;
+    }
+  };
+
+  election.timer = setInterval(attempt, LEADER_HEARTBEAT_MS);
+  attempt();
+}
+
+/**
+ * Stops competing for a role, stepping down (and running onDemoted) if leader
+ */
+async function stopLeaderElection(role) {
+  const election = elections.get(role);
+  if (!election) return;
+  elections.delete(role);
+  clearInterval(election.timer);
+
+  if (election.client) {
+    const client = election.client;
+    election.client = null;
+    await election.onDemoted();
+    await unlockAndRelease(client, LOCK_NAMESPACE.leader, lockKey(role));
+    log.info('Released leadership', { role });
+  }
+}
+
+function isLeader(role) {
+  return Boolean(elections.get(role)?.client);
+}
+
+registerCollector('leader', () => {
+  metrics.leader.reset();
+  for (const role of elections.keys()) metrics.leader.set({ role }, isLeader(role) ? 1 : 0);
+});
+
+module.exports = {
+  LOCK_NAMESPACE,
+  withAdvisoryLock,
+  tryWithAdvisoryLock,
+  startLeaderElection,
+  stopLeaderElection,
+  isLeader
+};
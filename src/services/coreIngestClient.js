@@ -0,0 +1,83 @@
+'use strict';
+const axios = require('axios');
+
+const CORE_INGEST_URL = process.env.CORE_INGEST_URL;
+const CORE_API_KEY = process.env.CORE_API_KEY;
+
+function isCoreIngestConfigured() {
+  return !!CORE_INGEST_URL;
+}
+
+/**
+ * Sends normalized event payloads to the Core Ingest Service in a single attempt.
+ * - Adds Authorization header (Bearer CORE_API_KEY)
+ * - Sends as array (Core format)
+ * - Throws on failure; retries are the caller's responsibility
+ */
+async function sendToCoreIngest(eventPayload) {
+  if (!CORE_INGEST_URL) {
+    throw new Error('CORE_INGEST_URL not set');
+  }
+
+  const payload = Array.isArray(eventPayload) ? eventPayload : [eventPayload];
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(CORE_API_KEY ? { Authorization: `Bearer ${CORE_API_KEY}` } : {})
+  };
+
+  const url = `${CORE_INGEST_URL}/ingest/v1/events:batch`;
+  const response = await axios.post(url, payload, { headers, timeout: 10000 });
+  return response.data;
+}
+
+/**
+ * Sends a batch and reports the outcome of each event, in input order.
+ * Core may answer a batch with per-event results (HTTP 200 or 207) either as
+ * `results: [{ ok|success|status, error }]` aligned with the request, or as
+ * `errors|failed: [{ index | source_event_id, error }]`. A plain 2xx without
+ * either means every event was accepted; a transport or HTTP error fails all.
+ */
+async function sendBatchToCoreIngest(events) {
+  let data;
+  try {
+    data = await sendToCoreIngest(events);
+  } catch (err) {
+    const error = describeIngestError(err);
+    return events.map(() => ({ ok: false, error }));
+  }
+
+  const outcomes = events.map(() => ({ ok: true, error: null }));
+
+  if (Array.isArray(data?.results) && data.results.length === events.length) {
+    data.results.forEach((result, i) => {
+      const ok = result?.ok ?? result?.success ?? (result?.status === undefined || (result.status >= 200 && result.status < 300) || result.status === 'ok');
+      if (!ok) outcomes[i] = { ok: false, error: result?.error || result?.message || 'rejected by Core Ingest' };
+    });
+    return outcomes;
+  }
+
+  const failures = Array.isArray(data?.errors) ? data.errors : Array.isArray(data?.failed) ? data.failed : [];
+  for (const failure of failures) {
+    let i = typeof failure?.index === 'number' ? failure.index : -1;
+    if (i < 0 && failure?.source_event_id) {
+      i = events.findIndex((e) => e.source_event_id === failure.source_event_id);
+    }
+    if (i >= 0 && i < events.length) {
+      outcomes[i] = { ok: false, error: failure.error || failure.message || 'rejected by Core Ingest' };
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Human-readable description of an axios error for logs and last_error columns
+ */
+function describeIngestError(err) {
+  const status = err.response?.status || 'unknown';
+  const msg = err.response?.data?.error || err.message;
+  return `[${status}] ${msg}`;
+}
+
+module.exports = { sendToCoreIngest, sendBatchToCoreIngest, describeIngestError, isCoreIngestConfigured };
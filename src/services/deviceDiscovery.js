@@ -0,0 +1,129 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+const { postToCoreIngestAsync } = require('./ingestPoster');
+const { buildCorePayload } = require('./buildCorePayload');
+
+const AUTO_DISCOVERY_ENABLED = process.env.DEVICE_AUTO_DISCOVERY !== 'false';
+// 0 = only flag missing devices, never unregister them
+const AUTO_UNREGISTER_AFTER_HOURS = parseFloat(process.env.DEVICE_AUTO_UNREGISTER_AFTER_HOURS || '0');
+
+const THERMOSTAT_TYPE = 'sdm.devices.types.THERMOSTAT';
+
+async function postDeviceEvent(userId, device, eventType, extra = {}) {
+  const payload = buildCorePayload({
+    deviceKey: device.deviceKey,
+    userId,
+    deviceName: device.displayName || device.deviceName,
+    firmwareVersion: device.firmwareVersion || null,
+    serialNumber: device.serialNumber || null,
+    eventType,
+    isReachable: eventType !== 'Device_Removed',
+    observedAt: new Date()
+  });
+  await postToCoreIngestAsync({ ...payload, discovery_source: 'nest_poll', ...extra });
+}
+
+/**
+ * Reconciles device_status with the thermostats SDM lists for a user:
+ * - unseen thermostats are registered to the user (unless they belong to someone
+ *   else or were explicitly unregistered)
+ * - registered devices missing from the list are flagged via missing_since and,
+ *   after DEVICE_AUTO_UNREGISTER_AFTER_HOURS, unregistered
+ * Device_Added / Device_Removed events go to Core for each change.
+ * Returns the device keys newly registered to the user.
+ */
+async function reconcileUserDevices(userId, sdmDevices) {
+  if (!AUTO_DISCOVERY_ENABLED) return [];
+
+  const pool = getPool();
+  const thermostats = sdmDevices
+    .filter((d) => d.type === THERMOSTAT_TYPE)
+    .map((d) => ({
+      deviceKey: d.name.split('/').pop(),
+      deviceName: d.name,
+      displayName: d.traits?.['sdm.devices.traits.Info']?.customName || d.parentRelations?.[0]?.displayName || null
+    }));
+  const listedKeys = thermostats.map((d) => d.deviceKey);
+
+  const existingResult = await pool.query(
+    `SELECT device_key, bubble_user_id, missing_since, auto_register_disabled
+     FROM device_status
+     WHERE device_key = ANY($1::TEXT[]) OR bubble_user_id = $2`,
+    [listedKeys, userId]
+  );
+  const existing = new Map(existingResult.rows.map((row) => [row.device_key, row]));
+
+  const added = [];
+  for (const device of thermostats) {
+    const row = existing.get(device.deviceKey);
+
+    if (row && row.bubble_user_id === userId) {
+      if (row.missing_since) {
+        await pool.query('UPDATE device_status SET missing_since = NULL, updated_at = NOW() WHERE device_key = $1', [device.deviceKey]);
+        console.log(`🔎 [DISCOVERY] ${device.deviceKey} is back in user ${userId}'s account`);
+        await postDeviceEvent(userId, device, 'Device_Added', { device_change_reason: 'reappeared' });
+      }
+      continue;
+    }
+    if (row && (row.bubble_user_id || row.auto_register_disabled)) continue;
+
+    const claimed = await pool.query(
+      `INSERT INTO device_status (device_key, device_name, bubble_user_id, registration_source, discovered_at, created_at, updated_at)
+       VALUES ($1, $2, $3, 'auto', NOW(), NOW(), NOW())
+       ON CONFLICT (device_key) DO UPDATE SET
+         bubble_user_id = EXCLUDED.bubble_user_id,
+         device_name = EXCLUDED.device_name,
+         registration_source = 'auto',
+         discovered_at = NOW(),
+         missing_since = NULL,
+         updated_at = NOW()
+       WHERE device_status.bubble_user_id IS NULL AND NOT device_status.auto_register_disabled
+       RETURNING device_key`,
+      [device.deviceKey, device.deviceName, userId]
+    );
+    if (claimed.rows.length === 0) continue;
+
+    console.log(`🔎 [DISCOVERY] Auto-registered ${device.deviceKey} to user ${userId}`);
+    added.push(device.deviceKey);
+    await postDeviceEvent(userId, device, 'Device_Added', { device_change_reason: 'discovered' });
+  }
+
+  for (const row of existing.values()) {
+    if (row.bubble_user_id !== userId || listedKeys.includes(row.device_key)) continue;
+
+    const flagged = await pool.query(
+      `UPDATE device_status SET missing_since = NOW(), updated_at = NOW()
+       WHERE device_key = $1 AND missing_since IS NULL
+       RETURNING device_key, device_name, custom_name, room_display_name, firmware_version, serial_number`,
+      [row.device_key]
+    );
+    if (flagged.rows.length > 0) {
+      const device = flagged.rows[0];
+      console.warn(`⚠️  [DISCOVERY] ${row.device_key} no longer listed for user ${userId}`);
+      await postDeviceEvent(userId, {
+        deviceKey: device.device_key,
+        deviceName: device.device_name,
+        displayName: device.custom_name || device.room_display_name,
+        firmwareVersion: device.firmware_version,
+        serialNumber: device.serial_number
+      }, 'Device_Removed', { device_change_reason: 'missing' });
+    }
+  }
+
+  if (AUTO_UNREGISTER_AFTER_HOURS > 0) {
+    const unregistered = await pool.query(
+      `UPDATE device_status SET bubble_user_id = NULL, updated_at = NOW()
+       WHERE bubble_user_id = $1 AND missing_since < NOW() - ($2 * INTERVAL '1 hour')
+       RETURNING device_key`,
+      [userId, AUTO_UNREGISTER_AFTER_HOURS]
+    );
+    for (const row of unregistered.rows) {
+      console.warn(`⚠️  [DISCOVERY] Unregistered ${row.device_key} from user ${userId} (missing > ${AUTO_UNREGISTER_AFTER_HOURS}h)`);
+    }
+  }
+
+  return added;
+}
+
+module.exports = { reconcileUserDevices };
@@ -0,0 +1,73 @@
+'use strict';
+
+const { DEVICE_LOCK_CONCURRENCY } = require('../database/db');
+const { LOCK_NAMESPACE, withAdvisoryLock } = require('./coordination');
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const log = createLogger('deviceLock');
+
+// Per-device locks to prevent race conditions (shared by push and pull ingestion and polling)
+const processingLocks = new Map();
+
+// Each held device lock pins a lock-pool connection, so holders are capped below the pool size
+let heldCount = 0;
+const slotWaiters = [];
+
+function acquireSlot() {
+  if (heldCount < DEVICE_LOCK_CONCURRENCY) {
+    heldCount++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => slotWaiters.push(resolve));
+}
+
+function releaseSlot() {
+  const next = slotWaiters.shift();
+  if (next) next();
+  else heldCount--;
+}
+
+/**
+ * Runs fn once every earlier caller for the same device has finished.
+ * Callers in this process queue in arrival order (the entry is removed when the
+ * queue empties); the head of the queue then takes the device's advisory lock,
+ * so other replicas are serialized too. At most DEVICE_LOCK_CONCURRENCY devices
+ * hold their lock at once; the rest wait here rather than on the lock pool.
+ */
+async function withDeviceLock(deviceKey, fn) {
+  const endWait = metrics.deviceLockWait.startTimer();
+  const pending = processingLocks.get(deviceKey);
+  const previous = pending || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  processingLocks.set(deviceKey, tail);
+
+  if (pending) {
+    log.debug('Waiting for previous event to finish', { device_key: deviceKey });
+  }
+  await previous;
+  await acquireSlot();
+
+  try {
+    return await withAdvisoryLock(LOCK_NAMESPACE.device, deviceKey, () => {
+      endWait();
+      return fn();
+    });
+  } finally {
+    releaseSlot();
+    release();
+    if (processingLocks.get(deviceKey) === tail) {
+      processingLocks.delete(deviceKey);
+    }
+  }
+}
+
+function getLockedDevices() {
+  return Array.from(processingLocks.keys());
+}
+
+module.exports = { withDeviceLock, getLockedDevices };
@@ -0,0 +1,85 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+
+const DEDUP_TTL_HOURS = parseInt(process.env.EVENT_DEDUP_TTL_HOURS || '24', 10);
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+
+let cleanupInterval;
+
+/**
+ * Builds dedup keys for an event: the Pub/Sub messageId and the SDM eventId.
+ * Poller-synthesized eventIds are unique per poll, so they are not tracked.
+ */
+function buildDedupKeys({ messageId, eventId } = {}) {
+  const keys = [];
+  if (messageId) keys.push(`msg:${messageId}`);
+  if (eventId && !String(eventId).startsWith('poll-')) keys.push(`evt:${eventId}`);
+  return keys;
+}
+
+/**
+ * Atomically records the event's keys. Returns false if any key was already
+ * seen within the TTL (a duplicate delivery), true if the event is new.
+ * Fails open on database errors so a dedup outage doesn't drop events.
+ */
+async function claimEvent(keys, deviceKey) {
+  if (keys.length === 0) return true;
+  const pool = getPool();
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO processed_events (event_key, device_key, received_at, expires_at)
+       SELECT k, $2, NOW(), NOW() + ($3 || ' hours')::INTERVAL FROM UNNEST($1::TEXT[]) AS k
+       ON CONFLICT (event_key) DO UPDATE SET expires_at = processed_events.expires_at
+         WHERE processed_events.expires_at < NOW()
+       RETURNING event_key`,
+      [keys, deviceKey, String(DEDUP_TTL_HOURS)]
+    );
+
+    // Every key must be newly claimed (or reclaimed after expiry). Keys a
+    // duplicate did insert just mark this delivery as seen too.
+    return result.rows.length === keys.length;
+  } catch (error) {
+    console.error('[eventDedup] Error claiming event, processing anyway:', error.message);
+    return true;
+  }
+}
+
+/**
+ * Forgets a claim so a redelivery is processed (used when processing failed)
+ */
+async function releaseEvent(keys) {
+  if (keys.length === 0) return;
+  const pool = getPool();
+  try {
+    await pool.query('DELETE FROM processed_events WHERE event_key = ANY($1::TEXT[])', [keys]);
+  } catch (error) {
+    console.error('[eventDedup] Error releasing event claim:', error.message);
+  }
+}
+
+async function cleanupExpiredEvents() {
+  const pool = getPool();
+  try {
+    const result = await pool.query('DELETE FROM processed_events WHERE expires_at < NOW()');
+    if (result.rowCount > 0) {
+      console.log(`[eventDedup] Removed ${result.rowCount} expired dedup record(s)`);
+    }
+  } catch (error) {
+    console.error('[eventDedup] Error cleaning up dedup records:', error.message);
+  }
+}
+
+function startDedupCleanup() {
+  cleanupInterval = setInterval(cleanupExpiredEvents, CLEANUP_INTERVAL_MS);
+}
+
+function stopDedupCleanup() {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+  }
+}
+
+module.exports = { buildDedupKeys, claimEvent, releaseEvent, startDedupCleanup, stopDedupCleanup };
@@ -0,0 +1,282 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+const { executeThermostatCommand } = require('./thermostatCommands');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.FAN_SCHEDULER_INTERVAL_MS || '60000', 10);
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+let schedulerInterval;
+let running = null;
+
+/**
+ * Parses 'HH:MM' into minutes after midnight, or null when invalid
+ */
+function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * True when a minute of the day falls in [start, end); windows may wrap past midnight
+ * and a window with start == end covers the whole day.
+ */
+function inWindow(minute, start, end) {
+  const startMin = parseTimeOfDay(start);
+  const endMin = parseTimeOfDay(end);
+  if (startMin === null || endMin === null || startMin === endMin) return true;
+  if (startMin < endMin) return minute >= startMin && minute < endMin;
+  return minute >= startMin || minute < endMin;
+}
+
+function localMinuteOfDay(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find((p) => p.type === 'hour').value, 10);
+  const minute = parseInt(parts.find((p) => p.type === 'minute').value, 10);
+  return hour * 60 + minute;
+}
+
+function isAllowedMinute(schedule, minute) {
+  if (schedule.active_start && schedule.active_end && !inWindow(minute, schedule.active_start, schedule.active_end)) {
+    return false;
+  }
+  if (schedule.quiet_start && schedule.quiet_end && inWindow(minute, schedule.quiet_start, schedule.quiet_end)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Minutes the fan should run starting now: the hourly duty cycle, cut short by the
+ * top of the local hour, the end of active hours or the start of quiet hours.
+ */
+function planRunMinutes(schedule, now) {
+  const minuteOfDay = localMinuteOfDay(now, schedule.timezone);
+  const limit = Math.min(schedule.minutes_per_hour, 60 - (minuteOfDay % 60));
+  let minutes = 0;
+
+  while (minutes < limit && isAllowedMinute(schedule, (minuteOfDay + minutes) % MINUTES_PER_DAY)) {
+    minutes++;
+  }
+  return minutes;
+}
+
+/**
+ * Top of the next local hour
+ */
+function nextRunAt(schedule, now) {
+  const minuteOfDay = localMinuteOfDay(now, schedule.timezone);
+  const next = new Date(now.getTime() + (60 - (minuteOfDay % 60)) * 60000);
+  next.setUTCSeconds(0, 0);
+  return next;
+}
+
+async function getSchedule(deviceKey) {
+  const pool = getPool();
+  const result = await pool.query('SELECT * FROM fan_schedules WHERE device_key = $1', [deviceKey]);
+  return result.rows[0] || null;
+}
+
+async function saveSchedule(deviceKey, schedule) {
+  const pool = getPool();
+  const result = await pool.query(
+    `INSERT INTO fan_schedules (
+      device_key, enabled, minutes_per_hour, active_start, active_end,
+      quiet_start, quiet_end, timezone, next_run_at, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW(), NOW())
+    ON CONFLICT (device_key) DO UPDATE SET
+      enabled = EXCLUDED.enabled,
+      minutes_per_hour = EXCLUDED.minutes_per_hour,
+      active_start = EXCLUDED.active_start,
+      active_end = EXCLUDED.active_end,
+      quiet_start = EXCLUDED.quiet_start,
+      quiet_end = EXCLUDED.quiet_end,
+      timezone = EXCLUDED.timezone,
+      next_run_at = NOW(),
+      updated_at = NOW()
+    RETURNING *`,
+    [
+      deviceKey,
+      schedule.enabled,
+      schedule.minutesPerHour,
+      schedule.activeStart,
+      schedule.activeEnd,
+      schedule.quietStart,
+      schedule.quietEnd,
+      schedule.timezone
+    ]
+  );
+  const saved = result.rows[0];
+
+  if (!saved.enabled) await cancelScheduledRun(saved);
+  return saved;
+}
+
+async function deleteSchedule(deviceKey) {
+  const pool = getPool();
+  const result = await pool.query('DELETE FROM fan_schedules WHERE device_key = $1 RETURNING *', [deviceKey]);
+  const deleted = result.rows[0] || null;
+
+  if (deleted) await cancelScheduledRun(deleted);
+  return deleted;
+}
+
+/**
+ * Turns off a fan timer this scheduler started, if it is still running
+ */
+async function cancelScheduledRun(schedule) {
+  if (!schedule.active_until || new Date(schedule.active_until) <= new Date()) return;
+
+  const pool = getPool();
+  await pool.query('UPDATE fan_schedules SET active_until = NULL WHERE device_key = $1', [schedule.device_key]);
+
+  try {
+    await executeThermostatCommand({
+      deviceKey: schedule.device_key,
+      command: 'Fan.SetTimer',
+      params: { timerMode: 'OFF' },
+      requestedBy: 'fan-scheduler',
+      source: 'scheduler'
+    });
+  } catch (err) {
+    console.error(`[FanScheduler] Failed to stop scheduled fan for ${schedule.device_key}: ${err.message}`);
+  }
+}
+
+async function recordRun(deviceKey, status, error) {
+  const pool = getPool();
+  await pool.query(
+    `UPDATE fan_schedules
+     SET last_status = $2, last_error = $3,
+         last_run_at = CASE WHEN $2 = 'started' THEN NOW() ELSE last_run_at END,
+         active_until = CASE WHEN $2 = 'failed' THEN NULL ELSE active_until END,
+         updated_at = NOW()
+     WHERE device_key = $1`,
+    [deviceKey, status, error || null]
+  );
+}
+
+/**
+ * Starts one circulation run for a claimed schedule
+ */
+async function runSchedule(schedule, now) {
+  const deviceKey = schedule.device_key;
+  const minutes = planRunMinutes(schedule, now);
+
+  if (minutes === 0) return 'outside_hours';
+
+  // Read from the database: another replica may be the one receiving this device's events
+  const pool = getPool();
+  const stateResult = await pool.query(
+    'SELECT is_reachable, last_fan_status FROM device_status WHERE device_key = $1',
+    [deviceKey]
+  );
+  const state = stateResult.rows[0];
+  if (state && state.is_reachable === false) {
+    await recordRun(deviceKey, 'skipped_offline');
+    return 'skipped_offline';
+  }
+  if (state && state.last_fan_status === 'ON') {
+    // Don't shorten a fan timer someone else started
+    await recordRun(deviceKey, 'skipped_fan_on');
+    return 'skipped_fan_on';
+  }
+
+  // Mark the run before issuing the command so the resulting Fan_only session is tagged as scheduled
+  await pool.query(
+    'UPDATE fan_schedules SET active_until = $2 WHERE device_key = $1',
+    [deviceKey, new Date(now.getTime() + minutes * 60000)]
+  );
+
+  try {
+    await executeThermostatCommand({
+      deviceKey,
+      command: 'Fan.SetTimer',
+      params: { timerMode: 'ON', durationSeconds: minutes * 60 },
+      requestedBy: 'fan-scheduler',
+      source: 'scheduler'
+    });
+    console.log(`🌀 [FanScheduler] ${deviceKey} circulating for ${minutes} min`);
+    await recordRun(deviceKey, 'started');
+    return 'started';
+  } catch (err) {
+    console.error(`❌ [FanScheduler] ${deviceKey} Fan.SetTimer failed: ${err.message}`);
+    await recordRun(deviceKey, 'failed', err.message);
+    return 'failed';
+  }
+}
+
+/**
+ * Runs every enabled schedule that is due. Each schedule is claimed by moving
+ * next_run_at forward first, so a run is never issued twice.
+ */
+async function runDueSchedules() {
+  const pool = getPool();
+  const due = await pool.query(
+    `SELECT * FROM fan_schedules
+     WHERE enabled AND (next_run_at IS NULL OR next_run_at <= NOW())
+     ORDER BY next_run_at NULLS FIRST
+     LIMIT 100`
+  );
+
+  for (const schedule of due.rows) {
+    const now = new Date();
+    const claimed = await pool.query(
+      `UPDATE fan_schedules SET next_run_at = $2
+       WHERE device_key = $1 AND enabled AND (next_run_at IS NULL OR next_run_at <= NOW())
+       RETURNING *`,
+      [schedule.device_key, nextRunAt(schedule, now)]
+    );
+    if (claimed.rows.length === 0) continue;
+
+    try {
+      await runSchedule(claimed.rows[0], now);
+    } catch (err) {
+      console.error(`[FanScheduler] Error running schedule for ${schedule.device_key}:`, err.message);
+    }
+  }
+}
+
+function tick() {
+  if (running) return running;
+  running = runDueSchedules()
+    .catch((err) => console.error('[FanScheduler] Scheduler error:', err.message))
+    .finally(() => {
+      running = null;
+    });
+  return running;
+}
+
+function startFanScheduler() {
+  if (schedulerInterval) return;
+  schedulerInterval = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  tick();
+  console.log(`Fan circulation scheduler started (every ${SCHEDULER_INTERVAL_MS / 1000}s)`);
+}
+
+async function stopFanScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+  if (running) await running;
+  console.log('Fan circulation scheduler stopped');
+}
+
+module.exports = {
+  parseTimeOfDay,
+  planRunMinutes,
+  getSchedule,
+  saveSchedule,
+  deleteSchedule,
+  runDueSchedules,
+  startFanScheduler,
+  stopFanScheduler
+};
@@ -0,0 +1,326 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+const { postToCoreIngestAsync } = require('./ingestPoster');
+const { buildCorePayload } = require('./buildCorePayload');
+
+const ALERT_THRESHOLDS = (process.env.FILTER_ALERT_THRESHOLDS || '75,90,100')
+  .split(',')
+  .map((t) => parseInt(t.trim(), 10))
+  .filter((t) => !isNaN(t) && t > 0)
+  .sort((a, b) => a - b);
+
+// Relative filter loading per blower-hour when a profile doesn't override it.
+// Heating is the reference. Cooling usually runs the blower at its highest
+// speed, fan-only circulation at its lowest, and aux (strip) heat above the
+// heating speed.
+const DEFAULT_WEIGHTS = {
+  heat: 1.0,
+  cool: 1.1,
+  fan: 0.6,
+  auxHeat: 1.25
+};
+
+/**
+ * Maps a runtime_sessions.mode (lowercased state label) to a weight bucket
+ */
+function weightBucketForMode(mode) {
+  const m = (mode || '').toLowerCase();
+  if (m.startsWith('auxheat')) return 'auxHeat';
+  if (m.startsWith('heating')) return 'heat';
+  if (m.startsWith('cooling')) return 'cool';
+  if (m === 'fan_only') return 'fan';
+  return null;
+}
+
+function resolveWeights(filter) {
+  return {
+    heat: filter.heat_weight !== null && filter.heat_weight !== undefined ? parseFloat(filter.heat_weight) : DEFAULT_WEIGHTS.heat,
+    cool: filter.cool_weight !== null && filter.cool_weight !== undefined ? parseFloat(filter.cool_weight) : DEFAULT_WEIGHTS.cool,
+    fan: filter.fan_weight !== null && filter.fan_weight !== undefined ? parseFloat(filter.fan_weight) : DEFAULT_WEIGHTS.fan,
+    auxHeat: filter.aux_heat_weight !== null && filter.aux_heat_weight !== undefined ? parseFloat(filter.aux_heat_weight) : DEFAULT_WEIGHTS.auxHeat
+  };
+}
+
+/**
+ * Loads the active filter for a device along with its profile weights
+ */
+async function getActiveFilter(deviceKey) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT
+      df.*,
+      fp.name AS profile_name,
+      fp.heat_weight,
+      fp.cool_weight,
+      fp.fan_weight,
+      fp.aux_heat_weight
+    FROM device_filters df
+    LEFT JOIN filter_profiles fp ON fp.id = df.profile_id
+    WHERE df.device_key = $1 AND df.is_active = TRUE`,
+    [deviceKey]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Computes weighted blower-hours consumed by a filter from closed runtime sessions
+ * that started after it was installed.
+ */
+async function calculateFilterUsage(filter) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT mode, SUM(duration_seconds) AS seconds
+     FROM runtime_sessions
+     WHERE device_key = $1
+       AND ended_at IS NOT NULL
+       AND started_at >= $2
+     GROUP BY mode`,
+    [filter.device_key, filter.installed_at]
+  );
+
+  const weights = resolveWeights(filter);
+  const hoursByType = { heat: 0, cool: 0, fan: 0, auxHeat: 0 };
+  let consumedHours = 0;
+
+  for (const row of result.rows) {
+    const bucket = weightBucketForMode(row.mode);
+    if (!bucket) continue;
+    const hours = (parseInt(row.seconds, 10) || 0) / 3600;
+    hoursByType[bucket] += hours;
+    consumedHours += hours * weights[bucket];
+  }
+
+  const nominalLifeHours = parseFloat(filter.nominal_life_hours);
+  const usagePercent = nominalLifeHours > 0 ? (consumedHours / nominalLifeHours) * 100 : 0;
+
+  return {
+    consumedHours: Math.round(consumedHours * 100) / 100,
+    usagePercent: Math.round(usagePercent * 100) / 100,
+    remainingHours: Math.max(0, Math.round((nominalLifeHours - consumedHours) * 100) / 100),
+    hoursByType: {
+      heat: Math.round(hoursByType.heat * 100) / 100,
+      cool: Math.round(hoursByType.cool * 100) / 100,
+      fan: Math.round(hoursByType.fan * 100) / 100,
+      auxHeat: Math.round(hoursByType.auxHeat * 100) / 100
+    },
+    weights
+  };
+}
+
+/**
+ * Recalculates the active filter's usage and emits a Core event for each newly
+ * crossed alert threshold. The conditional UPDATE on last_threshold_percent
+ * guarantees each threshold fires at most once per filter.
+ */
+async function updateFilterUsage(deviceKey) {
+  const pool = getPool();
+  try {
+    const filter = await getActiveFilter(deviceKey);
+    if (!filter) return null;
+
+    const usage = await calculateFilterUsage(filter);
+    await pool.query(
+      'UPDATE device_filters SET consumed_hours = $2, usage_percent = $3, last_calculated_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [filter.id, usage.consumedHours, usage.usagePercent]
+    );
+
+    const crossed = ALERT_THRESHOLDS.filter((t) => usage.usagePercent >= t && t > (filter.last_threshold_percent || 0));
+
+    // Thresholds passed in one jump are still emitted individually, lowest first
+    for (const threshold of crossed) {
+      const claim = await pool.query(
+        'UPDATE device_filters SET last_threshold_percent = $2, last_threshold_at = NOW(), updated_at = NOW() WHERE id = $1 AND last_threshold_percent < $2 RETURNING id',
+        [filter.id, threshold]
+      );
+      if (claim.rows.length === 0) continue;
+
+      console.log(`[FILTER] ${deviceKey} filter ${filter.id} crossed ${threshold}% (usage ${usage.usagePercent}%)`);
+      await postFilterEvent(deviceKey, filter, usage, 'Filter_Threshold', threshold);
+    }
+
+    return usage;
+  } catch (error) {
+    console.error('[filterTracker] Error updating filter usage:', error);
+    return null;
+  }
+}
+
+/**
+ * Closes the active filter and installs a fresh one. Specs default to the
+ * replaced filter's so a like-for-like swap needs no body.
+ */
+async function replaceFilter(deviceKey, { profileId, mervRating, nominalLifeHours, installedAt } = {}) {
+  const pool = getPool();
+  const client = await pool.connect();
+  let previous;
+  let installed;
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT * FROM device_filters WHERE device_key = $1 AND is_active = TRUE FOR UPDATE',
+      [deviceKey]
+    );
+    previous = current.rows[0] || null;
+
+    const replacedAt = installedAt || new Date();
+
+    if (previous) {
+      const usage = await calculateFilterUsage({ ...previous, ...(await getProfileWeights(client, previous.profile_id)) });
+      await client.query(
+        'UPDATE device_filters SET is_active = FALSE, replaced_at = $2, consumed_hours = $3, usage_percent = $4, last_calculated_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [previous.id, replacedAt, usage.consumedHours, usage.usagePercent]
+      );
+      previous = { ...previous, replaced_at: replacedAt, consumed_hours: usage.consumedHours, usage_percent: usage.usagePercent };
+    }
+
+    const specs = await resolveFilterSpecs(client, {
+      profileId: profileId !== undefined ? profileId : previous?.profile_id,
+      mervRating: mervRating !== undefined ? mervRating : previous?.merv_rating,
+      nominalLifeHours: nominalLifeHours !== undefined ? nominalLifeHours : previous?.nominal_life_hours
+    });
+
+    const result = await client.query(
+      `INSERT INTO device_filters (device_key, profile_id, merv_rating, nominal_life_hours, installed_at, is_active, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, TRUE, NOW(), NOW())
+       RETURNING *`,
+      [deviceKey, specs.profileId, specs.mervRating, specs.nominalLifeHours, replacedAt]
+    );
+    installed = result.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.log(`[FILTER] ${deviceKey} filter replaced (${previous ? 'previous ' + previous.id : 'first install'} -> ${installed.id})`);
+
+  if (previous) {
+    postFilterEvent(deviceKey, installed, null, 'Filter_Replaced', null).catch((err) =>
+      console.error('[filterTracker] Error posting filter replacement:', err.message)
+    );
+  }
+
+  return { previous, installed };
+}
+
+/**
+ * Edits the active filter's specs without resetting it (creates one if none).
+ * Alert thresholds above the new usage are re-armed.
+ */
+async function updateFilterSpecs(deviceKey, { profileId, mervRating, nominalLifeHours, installedAt } = {}) {
+  const pool = getPool();
+  const current = await getActiveFilter(deviceKey);
+
+  if (!current) {
+    await replaceFilter(deviceKey, { profileId, mervRating, nominalLifeHours, installedAt });
+    return getActiveFilter(deviceKey);
+  }
+
+  const specs = await resolveFilterSpecs(pool, {
+    profileId: profileId !== undefined ? profileId : current.profile_id,
+    mervRating: mervRating !== undefined ? mervRating : current.merv_rating,
+    nominalLifeHours: nominalLifeHours !== undefined ? nominalLifeHours : (profileId ? undefined : current.nominal_life_hours)
+  });
+
+  await pool.query(
+    'UPDATE device_filters SET profile_id = $2, merv_rating = $3, nominal_life_hours = $4, installed_at = $5, updated_at = NOW() WHERE id = $1',
+    [current.id, specs.profileId, specs.mervRating, specs.nominalLifeHours, installedAt || current.installed_at]
+  );
+
+  const updated = await getActiveFilter(deviceKey);
+  const usage = await calculateFilterUsage(updated);
+  const armedThreshold = ALERT_THRESHOLDS.filter((t) => usage.usagePercent >= t).pop() || 0;
+
+  if (armedThreshold < (updated.last_threshold_percent || 0)) {
+    await pool.query('UPDATE device_filters SET last_threshold_percent = $2 WHERE id = $1', [updated.id, armedThreshold]);
+  }
+
+  await updateFilterUsage(deviceKey);
+  return getActiveFilter(deviceKey);
+}
+
+async function getProfileWeights(client, profileId) {
+  if (!profileId) return {};
+  const result = await client.query(
+    'SELECT heat_weight, cool_weight, fan_weight, aux_heat_weight FROM filter_profiles WHERE id = $1',
+    [profileId]
+  );
+  return result.rows[0] || {};
+}
+
+/**
+ * Fills MERV rating and nominal life from a profile when not given explicitly
+ */
+async function resolveFilterSpecs(client, { profileId, mervRating, nominalLifeHours }) {
+  let profile = null;
+  if (profileId) {
+    const result = await client.query('SELECT * FROM filter_profiles WHERE id = $1', [profileId]);
+    profile = result.rows[0];
+    if (!profile) {
+      const error = new Error(`Filter profile not found: ${profileId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  const lifeHours = nominalLifeHours ?? profile?.nominal_life_hours;
+  if (lifeHours === null || lifeHours === undefined || !(parseFloat(lifeHours) > 0)) {
+    const error = new Error('nominalLifeHours must be a positive number (or provide a profileId)');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    profileId: profile ? profile.id : null,
+    mervRating: mervRating ?? profile?.merv_rating ?? null,
+    nominalLifeHours: parseFloat(lifeHours)
+  };
+}
+
+async function postFilterEvent(deviceKey, filter, usage, eventType, threshold) {
+  const pool = getPool();
+  const deviceResult = await pool.query(
+    'SELECT frontend_id, device_name, custom_name, room_display_name, firmware_version, serial_number, is_reachable FROM device_status WHERE device_key = $1',
+    [deviceKey]
+  );
+  const device = deviceResult.rows[0] || {};
+
+  const payload = buildCorePayload({
+    deviceKey,
+    userId: device.frontend_id,
+    deviceName: device.custom_name || device.room_display_name || device.device_name,
+    firmwareVersion: device.firmware_version,
+    serialNumber: device.serial_number,
+    eventType,
+    equipmentStatus: 'IDLE',
+    isActive: false,
+    isReachable: device.is_reachable !== false,
+    runtimeType: 'UPDATE',
+    observedAt: new Date()
+  });
+
+  payload.filter_id = filter.id;
+  payload.filter_merv_rating = filter.merv_rating ?? null;
+  payload.filter_nominal_life_hours = filter.nominal_life_hours !== null ? parseFloat(filter.nominal_life_hours) : null;
+  payload.filter_installed_at = new Date(filter.installed_at).toISOString();
+  payload.filter_consumed_hours = usage ? usage.consumedHours : 0;
+  payload.filter_usage_percent = usage ? usage.usagePercent : 0;
+  payload.filter_threshold_percent = threshold;
+
+  await postToCoreIngestAsync(payload, eventType.toLowerCase());
+}
+
+module.exports = {
+  ALERT_THRESHOLDS,
+  getActiveFilter,
+  calculateFilterUsage,
+  updateFilterUsage,
+  replaceFilter,
+  updateFilterSpecs
+};
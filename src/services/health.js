@@ -0,0 +1,159 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+const { getMigrationStatus } = require('../database/migrate');
+const { isLeader } = require('./coordination');
+const { getPollerStatus } = require('./nestPoller');
+const { getIngestionMode, getLastEventReceivedAt } = require('./pubsubListener');
+const { getDeliveryStats } = require('./ingestOutbox');
+const { isCoreIngestConfigured } = require('./coreIngestClient');
+
+/**
+ * Liveness and readiness checks. Each check returns a status of ok, degraded
+ * or fail plus the values it was judged on; a report fails if any check
+ * fails, and is degraded (still 200) if any check is degraded.
+ *
+ * Liveness only covers what a restart fixes (a wedged poller), so a database
+ * outage doesn't restart every replica. Readiness adds the database, schema,
+ * poll freshness, Pub/Sub traffic and the Core Ingest failure ratio.
+ */
+const DB_TIMEOUT_MS = parseInt(process.env.HEALTH_DB_TIMEOUT_MS || '2000', 10);
+const POLL_STALE_MS = parseInt(process.env.HEALTH_POLL_STALE_MS || String(10 * 60 * 1000), 10);
+const EVENT_STALE_MS = parseInt(process.env.HEALTH_EVENT_STALE_MS || String(60 * 60 * 1000), 10);
+const INGEST_FAILURE_RATIO = parseFloat(process.env.HEALTH_INGEST_FAILURE_RATIO || '0.5');
+const INGEST_MIN_ATTEMPTS = parseInt(process.env.HEALTH_INGEST_MIN_ATTEMPTS || '10', 10);
+
+const bootedAt = new Date();
+
+function secondsSince(date) {
+  return date ? Math.round((Date.now() - new Date(date).getTime()) / 1000) : null;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkDatabase() {
+  const started = Date.now();
+  try {
+    await withTimeout(getPool().query('SELECT 1'), DB_TIMEOUT_MS, `No response within ${DB_TIMEOUT_MS}ms`);
+    return { status: 'ok', latency_ms: Date.now() - started };
+  } catch (err) {
+    return { status: 'fail', error: err.message };
+  }
+}
+
+async function checkMigrations(database) {
+  if (database.status !== 'ok') {
+    return { status: 'fail', error: 'Database unavailable' };
+  }
+
+  try {
+    const status = await withTimeout(getMigrationStatus(), DB_TIMEOUT_MS, `No response within ${DB_TIMEOUT_MS}ms`);
+    const check = { status: 'ok', current: status.current, expected: status.latest, pending: status.pending.length };
+    if (status.pending.length > 0 || status.modified.length > 0 || status.missing.length > 0) {
+      return {
+        ...check,
+        status: 'fail',
+        modified: status.modified.map((row) => row.file),
+        missing: status.missing.map((row) => row.version),
+        error: 'Schema does not match this release, see npm run migrate:status'
+      };
+    }
+    return check;
+  } catch (err) {
+    return { status: 'fail', error: err.message };
+  }
+}
+
+// Followers don't poll; only the leader's poller is judged
+function checkPollerRunning() {
+  const poller = getPollerStatus();
+  if (!isLeader('poller')) return { status: 'ok', leader: false };
+  if (!poller.running) return { status: 'fail', leader: true, error: 'Leader is not polling' };
+
+  const tickSeconds = secondsSince(poller.tick_started_at);
+  if (tickSeconds !== null && tickSeconds * 1000 > POLL_STALE_MS) {
+    return { status: 'fail', leader: true, tick_running_seconds: tickSeconds, error: 'Poll tick stuck' };
+  }
+  return { status: 'ok', leader: true, tick_running_seconds: tickSeconds };
+}
+
+function checkPollFreshness() {
+  const running = checkPollerRunning();
+  if (running.status !== 'ok' || !running.leader) return running;
+
+  const poller = getPollerStatus();
+  const since = secondsSince(poller.last_success_at || poller.started_at);
+  const check = {
+    status: 'ok',
+    leader: true,
+    last_success_at: poller.last_success_at,
+    last_error_at: poller.last_error_at,
+    seconds_since_success: since
+  };
+  if (since * 1000 > POLL_STALE_MS) {
+    return { ...check, status: 'fail', error: `No successful poll in ${Math.round(POLL_STALE_MS / 1000)}s` };
+  }
+  return check;
+}
+
+// A quiet house can go a while without events, so silence only degrades
+function checkEvents() {
+  const lastReceivedAt = getLastEventReceivedAt();
+  const since = secondsSince(lastReceivedAt || bootedAt);
+  const check = { status: 'ok', ingestion_mode: getIngestionMode(), last_received_at: lastReceivedAt, seconds_since_event: since };
+  if (since * 1000 > EVENT_STALE_MS) {
+    return { ...check, status: 'degraded', error: `No Pub/Sub events in ${Math.round(EVENT_STALE_MS / 1000)}s` };
+  }
+  return check;
+}
+
+// Only the replica draining the outbox makes delivery attempts
+function checkCoreIngest() {
+  if (!isCoreIngestConfigured()) return { status: 'ok', configured: false };
+
+  const stats = getDeliveryStats();
+  const attempts = stats.delivered + stats.failed;
+  const failureRatio = attempts > 0 ? Number((stats.failed / attempts).toFixed(3)) : 0;
+  const check = { status: 'ok', configured: true, ...stats, failure_ratio: failureRatio };
+  if (attempts >= INGEST_MIN_ATTEMPTS && failureRatio >= INGEST_FAILURE_RATIO) {
+    return { ...check, status: 'fail', error: `Failure ratio at or above ${INGEST_FAILURE_RATIO}` };
+  }
+  return check;
+}
+
+function buildReport(checks) {
+  const statuses = Object.values(checks).map((check) => check.status);
+  const status = statuses.includes('fail') ? 'fail' : statuses.includes('degraded') ? 'degraded' : 'ok';
+  return { status, timestamp: new Date().toISOString(), uptime: process.uptime(), checks };
+}
+
+/**
+ * For GET /health/live: fails only when restarting this replica would help
+ */
+function getLiveness() {
+  return buildReport({ poller: checkPollerRunning() });
+}
+
+/**
+ * For GET /health/ready: fails when this replica shouldn't receive traffic
+ */
+async function getReadiness() {
+  const database = await checkDatabase();
+  const migrations = await checkMigrations(database);
+
+  return buildReport({
+    database,
+    migrations,
+    poller: checkPollFreshness(),
+    events: checkEvents(),
+    core_ingest: checkCoreIngest()
+  });
+}
+
+module.exports = { getLiveness, getReadiness };
@@ -0,0 +1,372 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+const { sendBatchToCoreIngest } = require('./coreIngestClient');
+const { LOCK_NAMESPACE, tryWithAdvisoryLock } = require('./coordination');
+const { createLogger, getCorrelationId } = require('./logger');
+const { metrics, registerCollector } = require('./metrics');
+
+const log = createLogger('outbox');
+
+const RETRY_DELAY_MS = parseInt(process.env.INGEST_RETRY_DELAY_MS || '2000', 10);
+const MAX_RETRY_DELAY_MS = parseInt(process.env.INGEST_MAX_RETRY_DELAY_MS || String(15 * 60 * 1000), 10);
+const DEAD_LETTER_ATTEMPTS = parseInt(process.env.INGEST_DEAD_LETTER_ATTEMPTS || '10', 10);
+const DISPATCH_INTERVAL_MS = parseInt(process.env.INGEST_DISPATCH_INTERVAL_MS || '5000', 10);
+const BATCH_MAX_SIZE = parseInt(process.env.INGEST_BATCH_MAX_SIZE || '100', 10);
+const BATCH_MAX_WAIT_MS = parseInt(process.env.INGEST_BATCH_MAX_WAIT_MS || '250', 10);
+const HEALTH_WINDOW_MS = parseInt(process.env.HEALTH_INGEST_WINDOW_MS || String(15 * 60 * 1000), 10);
+
+let dispatchInterval;
+let dispatching = null;
+let wakeRequested = false;
+let lingerTimer = null;
+let queuedSinceFlush = 0;
+
+// Delivery outcomes per minute over the last HEALTH_WINDOW_MS, for /health/ready
+const deliveryBuckets = new Map();
+
+/**
+ * Durably records events for Core Ingest. Rows are delivered by the dispatcher
+ * in id order per device, so callers never lose events when Core is down.
+ * Given the client of a withOutboxTransaction, the rows commit (or roll back)
+ * with the caller's own writes.
+ */
+async function enqueueIngestEvents(payloads, label = 'event', client = null) {
+  const db = client || getPool();
+  const events = Array.isArray(payloads) ? payloads : [payloads];
+  if (events.length === 0) return [];
+
+  const values = [];
+  const params = [];
+  for (const event of events) {
+    const i = params.length;
+    values.push(`($${i + 1}, $${i + 2}, $${i + 3}, $${i + 4}, 'pending', 0, NOW(), NOW(), NOW())`);
+    params.push(event.device_key || event.device_id || 'unknown', label, JSON.stringify(event), getCorrelationId());
+  }
+
+  const result = await db.query(
+    `INSERT INTO ingest_outbox (device_key, label, payload, correlation_id, status, attempts, next_attempt_at, created_at, updated_at)
+     VALUES ${values.join(', ')}
+     RETURNING id`,
+    params
+  );
+
+  // Rows queued in a transaction aren't visible until it commits
+  if (!client) wakeDispatcher(events.length);
+  return result.rows.map((r) => r.id);
+}
+
+/**
+ * Runs fn(client) in one transaction, for writes that must not be committed
+ * without the events they queue (or the other way round). Wakes the
+ * dispatcher once the transaction commits.
+ */
+async function withOutboxTransaction(fn) {
+  const client = await getPool().connect();
+  let result;
+
+  try {
+    await client.query('BEGIN');
+    result = await fn(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  wakeDispatcher();
+  return result;
+}
+
+/**
+ * Picks the oldest pending event for each device. A device whose head event is
+ * still backing off is skipped entirely so later events never overtake it.
+ */
+async function fetchDueHeads(limit = 100) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT DISTINCT ON (device_key) id, device_key, label, payload, correlation_id, attempts, next_attempt_at
+       FROM ingest_outbox
+       WHERE status = 'pending'
+       ORDER BY device_key, id
+     ) heads
+     WHERE next_attempt_at <= NOW()
+     ORDER BY id
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Counts Core Ingest delivery attempts (delivered, failed or dead_lettered) in
+ * the metrics and in the sliding window behind getDeliveryStats
+ */
+function recordDeliveryOutcome(outcome, count = 1) {
+  metrics.coreIngestEvents.inc({ outcome }, count);
+
+  const minute = Math.floor(Date.now() / 60000);
+  const bucket = deliveryBuckets.get(minute) || { delivered: 0, failed: 0 };
+  bucket[outcome === 'delivered' ? 'delivered' : 'failed'] += count;
+  deliveryBuckets.set(minute, bucket);
+
+  const oldest = minute - Math.ceil(HEALTH_WINDOW_MS / 60000);
+  for (const key of deliveryBuckets.keys()) {
+    if (key <= oldest) deliveryBuckets.delete(key);
+  }
+}
+
+/**
+ * Delivered and failed attempts made by this replica within the health window
+ */
+function getDeliveryStats() {
+  const oldest = Math.floor(Date.now() / 60000) - Math.ceil(HEALTH_WINDOW_MS / 60000);
+  let delivered = 0;
+  let failed = 0;
+  for (const [minute, bucket] of deliveryBuckets) {
+    if (minute <= oldest) continue;
+    delivered += bucket.delivered;
+    failed += bucket.failed;
+  }
+  return { window_seconds: Math.round(HEALTH_WINDOW_MS / 1000), delivered, failed };
+}
+
+async function markDelivered(ids) {
+  if (ids.length === 0) return;
+  const pool = getPool();
+  await pool.query('DELETE FROM ingest_outbox WHERE id = ANY($1::BIGINT[])', [ids]);
+}
+
+// Rows are delivered outside the request that queued them, so log the original correlation ID
+function rowFields(row) {
+  return { outbox_id: row.id, label: row.label, device_key: row.device_key, correlation_id: row.correlation_id || undefined };
+}
+
+async function markFailed(row, errorMessage) {
+  const pool = getPool();
+  const attempts = row.attempts + 1;
+
+  if (attempts >= DEAD_LETTER_ATTEMPTS) {
+    log.error('Event dead-lettered', { ...rowFields(row), attempts, error: errorMessage });
+    recordDeliveryOutcome('dead_lettered');
+    await pool.query(
+      `UPDATE ingest_outbox SET status = 'dead', attempts = $2, last_error = $3, updated_at = NOW() WHERE id = $1`,
+      [row.id, attempts, errorMessage]
+    );
+    return;
+  }
+
+  const delay = Math.min(MAX_RETRY_DELAY_MS, RETRY_DELAY_MS * Math.pow(2, attempts - 1)); // exponential backoff
+  recordDeliveryOutcome('failed');
+  metrics.coreIngestRetries.inc();
+  log.warn('Event delivery failed, retrying', { ...rowFields(row), attempts, max_attempts: DEAD_LETTER_ATTEMPTS, retry_in_ms: delay, error: errorMessage });
+  await pool.query(
+    `UPDATE ingest_outbox
+     SET attempts = $2, last_error = $3, next_attempt_at = NOW() + ($4 || ' milliseconds')::INTERVAL, updated_at = NOW()
+     WHERE id = $1`,
+    [row.id, attempts, errorMessage, String(delay)]
+  );
+}
+
+/**
+ * Posts one batch and settles each row from its own outcome, so one rejected
+ * event doesn't fail or redeliver the rest of the batch.
+ */
+async function deliverBatch(rows) {
+  const outcomes = await sendBatchToCoreIngest(rows.map((row) => row.payload));
+  const deliveredIds = [];
+
+  for (let i = 0; i < rows.length; i++) {
+    if (outcomes[i].ok) {
+      deliveredIds.push(rows[i].id);
+    } else {
+      await markFailed(rows[i], outcomes[i].error);
+    }
+  }
+
+  await markDelivered(deliveredIds);
+  if (deliveredIds.length > 0) {
+    recordDeliveryOutcome('delivered', deliveredIds.length);
+    log.info('Posted batch to Core Ingest', {
+      delivered: deliveredIds.length,
+      batch_size: rows.length,
+      devices: new Set(rows.map((r) => r.device_key)).size,
+      correlation_ids: rows.map((r) => r.correlation_id).filter(Boolean)
+    });
+  }
+  return deliveredIds.length;
+}
+
+/**
+ * Delivers due events until nothing is left that can be sent right now.
+ * Each batch holds at most one event per device (its oldest pending one), so a
+ * device's next event is only sent after the previous one was accepted.
+ */
+async function drainOutbox() {
+  for (;;) {
+    wakeRequested = false;
+    queuedSinceFlush = 0;
+    const heads = await fetchDueHeads(BATCH_MAX_SIZE);
+    if (heads.length === 0) break;
+
+    const delivered = await deliverBatch(heads);
+
+    // Nothing went through - wait for the next tick rather than spinning against a down Core
+    if (delivered === 0 && !wakeRequested) break;
+  }
+}
+
+/**
+ * Runs a drain unless one is in progress; a drain requested mid-run loops once more.
+ * Only one replica drains at a time (two would break per-device ordering); the
+ * others skip and leave their rows to it.
+ */
+function runDispatcher() {
+  if (lingerTimer) {
+    clearTimeout(lingerTimer);
+    lingerTimer = null;
+  }
+
+  if (dispatching) {
+    wakeRequested = true;
+    return dispatching;
+  }
+
+  dispatching = tryWithAdvisoryLock(LOCK_NAMESPACE.job, 'ingest-outbox', drainOutbox)
+    .catch((err) => log.error('Dispatcher error', { err }))
+    .finally(() => {
+      dispatching = null;
+    });
+  return dispatching;
+}
+
+/**
+ * Flushes once a full batch is queued, otherwise after BATCH_MAX_WAIT_MS so
+ * bursts (e.g. the startup poll) coalesce into a few requests.
+ */
+function wakeDispatcher(count = 0) {
+  if (!dispatchInterval) return;
+
+  queuedSinceFlush += count;
+  if (queuedSinceFlush >= BATCH_MAX_SIZE) {
+    setImmediate(runDispatcher);
+  } else if (!lingerTimer) {
+    lingerTimer = setTimeout(runDispatcher, BATCH_MAX_WAIT_MS);
+  }
+}
+
+registerCollector('outbox', async () => {
+  const pool = getPool();
+  const result = await pool.query('SELECT status, COUNT(*) FROM ingest_outbox GROUP BY status');
+  metrics.outboxEvents.reset();
+  metrics.outboxEvents.set({ status: 'pending' }, 0);
+  metrics.outboxEvents.set({ status: 'dead' }, 0);
+  for (const row of result.rows) metrics.outboxEvents.set({ status: row.status }, parseInt(row.count, 10));
+});
+
+function startIngestDispatcher() {
+  log.info('Starting Core Ingest outbox dispatcher', { interval_ms: DISPATCH_INTERVAL_MS, batch_max_size: BATCH_MAX_SIZE, dead_letter_attempts: DEAD_LETTER_ATTEMPTS });
+  dispatchInterval = setInterval(runDispatcher, DISPATCH_INTERVAL_MS);
+  runDispatcher();
+}
+
+async function stopIngestDispatcher() {
+  if (dispatchInterval) {
+    clearInterval(dispatchInterval);
+    dispatchInterval = null;
+  }
+  if (lingerTimer) {
+    clearTimeout(lingerTimer);
+    lingerTimer = null;
+  }
+  if (dispatching) await dispatching;
+  log.info('Outbox dispatcher stopped');
+}
+
+/**
+ * Builds a WHERE clause from admin filters (ids, status, deviceKey)
+ */
+function buildOutboxFilter({ ids, status, deviceKey } = {}) {
+  const filters = [];
+  const params = [];
+
+  if (Array.isArray(ids) && ids.length > 0) {
+    params.push(ids);
+    filters.push(`id = ANY($${params.length}::BIGINT[])`);
+  }
+  if (status) {
+    params.push(status);
+    filters.push(`status = $${params.length}`);
+  }
+  if (deviceKey) {
+    params.push(deviceKey);
+    filters.push(`device_key = $${params.length}`);
+  }
+
+  return { where: filters.length > 0 ? 'WHERE ' + filters.join(' AND ') : '', params };
+}
+
+async function listOutboxEvents(filter = {}, limit = 100, offset = 0) {
+  const pool = getPool();
+  const { where, params } = buildOutboxFilter(filter);
+
+  const result = await pool.query(
+    `SELECT id, device_key, label, correlation_id, status, attempts, next_attempt_at, last_error, created_at, updated_at, payload
+     FROM ingest_outbox ${where}
+     ORDER BY id
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  const counts = await pool.query('SELECT status, COUNT(*) FROM ingest_outbox GROUP BY status');
+
+  return {
+    counts: counts.rows.reduce((acc, row) => {
+      acc[row.status] = parseInt(row.count, 10);
+      return acc;
+    }, { pending: 0, dead: 0 }),
+    events: result.rows
+  };
+}
+
+/**
+ * Returns matching events to pending with a fresh attempt budget
+ */
+async function replayOutboxEvents(filter = {}) {
+  const pool = getPool();
+  const { where, params } = buildOutboxFilter(filter);
+
+  const result = await pool.query(
+    `UPDATE ingest_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL, updated_at = NOW()
+     ${where}
+     RETURNING id`,
+    params
+  );
+
+  wakeDispatcher(result.rowCount);
+  return result.rowCount;
+}
+
+async function purgeOutboxEvents(filter = {}) {
+  const pool = getPool();
+  const { where, params } = buildOutboxFilter(filter);
+
+  const result = await pool.query(`DELETE FROM ingest_outbox ${where} RETURNING id`, params);
+  return result.rowCount;
+}
+
+module.exports = {
+  enqueueIngestEvents,
+  withOutboxTransaction,
+  recordDeliveryOutcome,
+  getDeliveryStats,
+  startIngestDispatcher,
+  stopIngestDispatcher,
+  listOutboxEvents,
+  replayOutboxEvents,
+  purgeOutboxEvents
+};
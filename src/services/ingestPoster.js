@@ -1,65 +1,48 @@
 'use strict';
-const axios = require('axios');
+const { sendToCoreIngest, describeIngestError, isCoreIngestConfigured } = require('./coreIngestClient');
+const { enqueueIngestEvents, recordDeliveryOutcome } = require('./ingestOutbox');
+const { createLogger } = require('./logger');
 
-const CORE_INGEST_URL = process.env.CORE_INGEST_URL;
-const CORE_API_KEY = process.env.CORE_API_KEY;
-const MAX_RETRIES = parseInt(process.env.INGEST_MAX_RETRY_ATTEMPTS || '3', 10);
-const RETRY_DELAY_MS = parseInt(process.env.INGEST_RETRY_DELAY_MS || '2000', 10);
+const log = createLogger('ingestPoster');
+
+let warnedInsecure = false;
 
 /**
- * Posts normalized event payloads to the Core Ingest Service securely.
- * - Retries up to 3 times
- * - Adds Authorization header (Bearer CORE_API_KEY)
- * - Sends as array (Core format)
+ * Queues normalized event payloads for the Core Ingest Service.
+ * - Events are written to the ingest_outbox table and delivered by the dispatcher
+ * - Delivery is ordered per device with exponential backoff and dead-lettering
+ * - If the outbox itself can't be written, falls back to a single direct post
+ * - Rows keep the caller's correlation ID so delivery logs trace back to the event
+ * - Given a withOutboxTransaction client, the event is queued in that transaction
+ *   and a failed insert throws so the caller's writes roll back with it
  */
-async function postToCoreIngestAsync(eventPayload, label = 'event') {
-  if (!CORE_INGEST_URL) {
-    console.warn('⚠ CORE_INGEST_URL not set — skipping Core Ingest post');
+async function postToCoreIngestAsync(eventPayload, label = 'event', client = null) {
+  if (!isCoreIngestConfigured()) {
+    log.warn('CORE_INGEST_URL not set — skipping Core Ingest post', { label });
     return;
   }
-  if (!CORE_API_KEY) {
-    console.warn('⚠ CORE_API_KEY not set — posting insecurely (NOT RECOMMENDED)');
+  if (!process.env.CORE_API_KEY && !warnedInsecure) {
+    log.warn('CORE_API_KEY not set — posting insecurely (NOT RECOMMENDED)');
+    warnedInsecure = true;
   }
 
-  // ✅ CHANGE: Send as array directly, not wrapped in { events: [...] }
-  const payload = Array.isArray(eventPayload) ? eventPayload : [eventPayload];
-
-  const headers = {
-    'Content-Type': 'application/json',
-    ...(CORE_API_KEY ? { Authorization: `Bearer ${CORE_API_KEY}` } : {})
-  };
+  if (client) {
+    await enqueueIngestEvents(eventPayload, label, client);
+    return;
+  }
 
-  let lastError;
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+  try {
+    await enqueueIngestEvents(eventPayload, label);
+  } catch (err) {
+    log.error('Failed to queue event, posting directly', { label, err });
     try {
-      const url = `${CORE_INGEST_URL}/ingest/v1/events:batch`;
-      await axios.post(url, payload, { headers, timeout: 10000 });
-      
-      // ✅ IMPROVED: Better logging
-      const firstEvent = Array.isArray(payload) ? payload[0] : payload;
-      console.log(
-        `✅ [CoreIngest] Posted ${label} (${firstEvent?.source || 'nest'}) → ${firstEvent?.device_id || firstEvent?.device_key}`
-      );
-      return;
-    } catch (err) {
-      lastError = err;
-      const status = err.response?.status || 'unknown';
-      const msg = err.response?.data?.error || err.message;
-      console.error(`❌ Core Ingest attempt ${attempt}/${MAX_RETRIES} failed [${status}]: ${msg}`);
-      
-      if (attempt < MAX_RETRIES) {
-        const delay = RETRY_DELAY_MS * Math.pow(2, attempt - 1); // exponential backoff
-        console.log(`   Retrying in ${delay}ms...`);
-        await sleep(delay);
-      }
+      await sendToCoreIngest(eventPayload);
+      recordDeliveryOutcome('delivered');
+    } catch (sendErr) {
+      recordDeliveryOutcome('failed');
+      log.error('Core Ingest direct post failed', { label, error: describeIngestError(sendErr) });
     }
   }
-  
-  console.error('💥 Core Ingest failed after all retries:', lastError?.message);
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 module.exports = { postToCoreIngestAsync };
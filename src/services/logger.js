@@ -0,0 +1,138 @@
+'use strict';
+
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Structured JSON logger. Each entry is one line on stdout (debug/info) or
+ * stderr (warn/error) with time, level, component, msg, the current
+ * correlation ID and any extra fields.
+ *
+ * LOG_LEVEL=debug|info|warn|error (default info). Below debug, raw payload
+ * fields (Pub/Sub bodies, SDM traits) are replaced with a placeholder.
+ * Credentials are redacted at every level.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const configuredLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const minLevel = LEVELS[configuredLevel] || LEVELS.info;
+
+const SENSITIVE_KEY = /^(authorization|cookie|password|secret|client_secret|api_?key|x-api-key|token|[a-z_]*_token|accessToken|refreshToken|idToken)$/i;
+const RAW_PAYLOAD_KEY = /^(raw|body|payload|payload_raw|traits|resourceUpdate|event|data)$/;
+const SENSITIVE_TEXT = [
+  [/Bearer\s+[\w.~+/=-]+/gi, 'Bearer [REDACTED]'],
+  [/ya29\.[\w.-]+/g, '[REDACTED]'],
+  [/1\/\/[\w.-]{20,}/g, '[REDACTED]']
+];
+
+const correlationStorage = new AsyncLocalStorage();
+
+function newCorrelationId() {
+  return uuidv4();
+}
+
+/**
+ * Runs fn with a correlation ID attached to every log entry (and outbox row)
+ * produced inside it, including across awaits
+ */
+function withCorrelationId(correlationId, fn) {
+  return correlationStorage.run({ correlationId: correlationId || newCorrelationId() }, fn);
+}
+
+function getCorrelationId() {
+  return correlationStorage.getStore()?.correlationId || null;
+}
+
+function isLevelEnabled(level) {
+  return LEVELS[level] >= minLevel;
+}
+
+function redactText(text) {
+  return SENSITIVE_TEXT.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), text);
+}
+
+function serializeError(err) {
+  return { name: err.name, message: redactText(err.message || ''), code: err.code, stack: err.stack && redactText(err.stack) };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth > 6) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SENSITIVE_KEY.test(key)) {
+      out[key] = '[REDACTED]';
+    } else if (RAW_PAYLOAD_KEY.test(key) && !isLevelEnabled('debug')) {
+      out[key] = '[omitted below LOG_LEVEL=debug]';
+    } else {
+      out[key] = redact(item, depth + 1);
+    }
+  }
+  return out;
+}
+
+function write(level, component, msg, fields) {
+  if (!isLevelEnabled(level)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: redactText(String(msg)),
+    correlation_id: getCorrelationId() || undefined,
+    ...(fields ? redact(fields) : {})
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (err) {
+    line = JSON.stringify({ time: entry.time, level, component, msg: entry.msg, correlation_id: entry.correlation_id, log_error: err.message });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Logger for one module: log.info('Session started', { device_key })
+ */
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields)
+  };
+}
+
+/**
+ * Routes console.* from modules not yet on the logger through it, so every
+ * line is JSON, leveled and carries the correlation ID. A leading "[tag]" in
+ * the message becomes the component.
+ */
+function installConsoleBridge() {
+  const bridge = (level) => (...args) => {
+    const errors = args.filter((arg) => arg instanceof Error);
+    const text = util.format(...args.map((arg) => (arg instanceof Error ? arg.message : arg))).trim();
+    const tagged = text.match(/^\[([\w ]+)\]\s*(.*)$/s);
+    write(level, tagged ? tagged[1] : 'app', tagged ? tagged[2] : text, errors.length ? { err: errors[0] } : undefined);
+  };
+
+  console.debug = bridge('debug');
+  console.log = bridge('info');
+  console.info = bridge('info');
+  console.warn = bridge('warn');
+  console.error = bridge('error');
+}
+
+module.exports = {
+  createLogger,
+  installConsoleBridge,
+  withCorrelationId,
+  getCorrelationId,
+  newCorrelationId
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+const { getPoolStats } = require('../database/db');
+const { createLogger } = require('./logger');
+
+const log = createLogger('metrics');
+
+/**
+ * In-process Prometheus metrics, rendered in the text exposition format by
+ * GET /metrics. Counters and histograms are per replica; Prometheus sums them
+ * across instances. Gauges that reflect shared state (outbox depth, pool
+ * usage, leadership) are filled in by collectors at scrape time.
+ */
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+const collectors = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return '{' + entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',') + '}';
+}
+
+// Label values in the declared order, so { a, b } and { b, a } are one series
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames, type: 'counter', series: new Map() });
+    registry.push(this);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    const entry = this.series.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+    entry.value += value;
+    this.series.set(key, entry);
+  }
+
+  render() {
+    return [...this.series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Gauge {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames, type: 'gauge', series: new Map() });
+    registry.push(this);
+  }
+
+  set(labels, value) {
+    this.series.set(seriesKey(this.labelNames, labels), { labels: pickLabels(this.labelNames, labels), value });
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    return [...this.series.values()].map((s) => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, buckets, type: 'histogram', series: new Map() });
+    registry.push(this);
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: pickLabels(this.labelNames, labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Returns a function that records the seconds elapsed since the call;
+   * labels passed to it are merged over the starting ones
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => this.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  render() {
+    const lines = [];
+    for (const s of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Registers fn to refresh gauges before each scrape. A failing collector is
+ * reported in nest_metrics_collector_errors_total instead of failing the scrape.
+ */
+function registerCollector(name, fn) {
+  collectors.push({ name, fn });
+}
+
+const metrics = {
+  // Ingestion
+  webhookEventsReceived: new Counter('nest_webhook_events_received_total', 'Pub/Sub push requests accepted by POST /webhook'),
+  webhookEventsRejected: new Counter('nest_webhook_events_rejected_total', 'Pub/Sub push requests rejected, by reason', ['reason']),
+  duplicateEvents: new Counter('nest_duplicate_events_total', 'Redelivered events skipped by dedup, by ingestion path', ['source']),
+  droppedEvents: new Counter('nest_dropped_events_total', 'Acknowledged push events that failed to apply (device lock or processing error)'),
+  deviceEventDuration: new Histogram('nest_device_event_duration_seconds', 'handleDeviceEvent latency, by event source and outcome', ['source', 'outcome']),
+  deviceLockWait: new Histogram('nest_device_lock_wait_seconds', 'Time from requesting a device lock to holding it (local queue plus advisory lock)'),
+
+  // Runtime sessions
+  sessionsStarted: new Counter('nest_runtime_sessions_started_total', 'Runtime sessions started, by mode', ['mode']),
+  sessionsEnded: new Counter('nest_runtime_sessions_ended_total', 'Runtime sessions ended, by mode and how the end was determined', ['mode', 'reason']),
+
+  // Core Ingest
+  coreIngestEvents: new Counter('nest_core_ingest_events_total', 'Core Ingest delivery attempts per event, by outcome (delivered, failed, dead_lettered)', ['outcome']),
+  coreIngestRetries: new Counter('nest_core_ingest_retries_total', 'Core Ingest events scheduled for another attempt'),
+  outboxEvents: new Gauge('nest_core_ingest_outbox_events', 'Events in ingest_outbox, by status', ['status']),
+
+  // Poller
+  pollerRuns: new Counter('nest_poller_runs_total', 'Poll scheduler ticks, by outcome (idle, ok, error)', ['outcome']),
+  pollerStaleDevices: new Gauge('nest_poller_stale_devices', 'Devices that needed a poll on the last tick'),
+  pollerDeferredDevices: new Gauge('nest_poller_deferred_devices', 'Due devices rescheduled on the last tick because they reported on their own'),
+  pollerRateLimitedUsers: new Gauge('nest_poller_rate_limited_users', 'Users skipped on the last tick by the per-user rate limit'),
+  pollerUserPolls: new Counter('nest_poller_user_polls_total', 'Per-user SDM device listings, by outcome', ['outcome']),
+  leader: new Gauge('nest_leader', '1 if this replica holds the role', ['role']),
+
+  // Tokens
+  tokenRefreshes: new Counter('nest_token_refresh_total', 'OAuth token refresh outcomes (success, or the token status a failure led to)', ['outcome']),
+
+  // Retention
+  retentionRows: new Counter('nest_retention_rows_total', 'Expired rows deleted (after rolling up, where the policy has a roll-up) by the retention job, by table', ['table']),
+
+  // Database
+  pgPoolConnections: new Gauge('nest_pg_pool_connections', 'pg pool connections, by pool and state', ['pool', 'state']),
+
+  // Process
+  processUptime: new Gauge('process_uptime_seconds', 'Process uptime'),
+  processResidentMemory: new Gauge('process_resident_memory_bytes', 'Resident set size'),
+  nodejsHeapUsed: new Gauge('nodejs_heap_used_bytes', 'V8 heap in use'),
+  collectorErrors: new Counter('nest_metrics_collector_errors_total', 'Scrape-time collectors that failed, by collector', ['collector'])
+};
+
+registerCollector('process', () => {
+  const memory = process.memoryUsage();
+  metrics.processUptime.set({}, process.uptime());
+  metrics.processResidentMemory.set({}, memory.rss);
+  metrics.nodejsHeapUsed.set({}, memory.heapUsed);
+});
+
+registerCollector('pg_pool', () => {
+  metrics.pgPoolConnections.reset();
+  for (const [pool, stats] of Object.entries(getPoolStats())) {
+    for (const [state, value] of Object.entries(stats)) {
+      metrics.pgPoolConnections.set({ pool, state }, value);
+    }
+  }
+});
+
+async function renderMetrics() {
+  for (const { name, fn } of collectors) {
+    try {
+      await fn();
+    } catch (err) {
+      metrics.collectorErrors.inc({ collector: name });
+      log.error('Metrics collector failed', { collector: name, err });
+    }
+  }
+
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { metrics, registerCollector, renderMetrics };
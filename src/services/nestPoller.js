@@ -3,12 +3,46 @@
 const { google } = require('googleapis');
 const { getPool } = require('../database/db');
 const { handleDeviceEvent } = require('./runtimeTracker');
-
-const POLL_INTERVAL_MS = 5 * 60 * 1000; // Check every 5 minutes
-const STALE_THRESHOLD_MS = 20 * 60 * 1000; // Poll if no update in 20 minutes
+const { withDeviceLock } = require('./deviceLock');
+const { createLogger, withCorrelationId, newCorrelationId } = require('./logger');
+const { metrics } = require('./metrics');
+const {
+  ReauthRequiredError,
+  REAUTH_STATUSES,
+  pollableTokenCondition,
+  recordTokenSuccess,
+  recordTokenFailure,
+  retryReauthNotifications
+} = require('./tokenHealth');
+const { encryptTokens, decryptTokens } = require('./tokenCrypto');
+const { reconcileUserDevices } = require('./deviceDiscovery');
+const {
+  POLL_CONFIG,
+  UserRateLimiter,
+  runWithConcurrency,
+  findDueDevices,
+  findUsersDueForDiscovery,
+  deferFreshDevices,
+  scheduleNextPolls,
+  deferAfterError,
+  markUserPolled
+} = require('./pollScheduler');
+
+const log = createLogger('nestPoller');
+
+const STRUCTURE_SYNC_INTERVAL_MS = parseInt(process.env.STRUCTURE_SYNC_INTERVAL_MS || String(6 * 60 * 60 * 1000), 10);
 const smartdevicemanagement = google.smartdevicemanagement('v1');
 
 let pollInterval;
+let structureSyncInterval;
+let pollRun = null;
+// For /health: when this replica started polling, the last tick to succeed and the tick in flight
+const pollerStatus = { startedAt: null, lastSuccessAt: null, lastErrorAt: null, tickStartedAt: null };
+
+const pollRateLimiter = new UserRateLimiter({
+  perMinute: POLL_CONFIG.userRequestsPerMinute,
+  burst: POLL_CONFIG.userBurst
+});
 
 /**
  * Returns a Google OAuth2 client for a given user.
@@ -17,7 +51,7 @@ async function getOAuthClientForUser(userId) {
   const pool = getPool();
 
   const result = await pool.query(
-    'SELECT access_token, refresh_token, expires_at FROM oauth_tokens WHERE user_id = $1',
+    'SELECT user_id, access_token, refresh_token, token_key_id, wrapped_data_key, expires_at, token_status FROM oauth_tokens WHERE user_id = $1',
     [userId]
   );
 
@@ -25,11 +59,17 @@ async function getOAuthClientForUser(userId) {
     throw new Error(`No OAuth tokens found for user: ${userId}`);
   }
 
-  const { access_token, refresh_token, expires_at } = result.rows[0];
+  const { expires_at, token_status } = result.rows[0];
+  const { accessToken: access_token, refreshToken: refresh_token } = decryptTokens(result.rows[0]);
+
+  // Dead grants can't be refreshed; don't send them to Google until the user re-links
+  if (REAUTH_STATUSES.includes(token_status)) {
+    throw new ReauthRequiredError(userId, token_status);
+  }
 
   // Validate that we have a refresh token for automatic token refresh
   if (!refresh_token) {
-    console.warn(`⚠️  User ${userId} has no refresh_token - cannot auto-refresh when expired`);
+    log.warn('User has no refresh_token - cannot auto-refresh when expired', { user_id: userId });
   }
 
   const oauth2Client = new google.auth.OAuth2(
@@ -47,31 +87,35 @@ async function getOAuthClientForUser(userId) {
   // Listen for automatic token refresh events
   oauth2Client.on('tokens', async (tokens) => {
     try {
-      console.log(`🔄 Token refresh triggered for user: ${userId}`);
+      log.info('Token refresh triggered', { user_id: userId });
 
-      if (tokens.access_token) {
+      if (tokens.access_token || tokens.refresh_token) {
         // FIX: tokens.expiry_date is ALREADY an absolute timestamp, not a duration
         const expiresAt = tokens.expiry_date
           ? new Date(tokens.expiry_date)
           : new Date(Date.now() + 3600 * 1000); // Default to 1 hour
 
-        console.log(`✅ Updating access_token for user ${userId}, expires at ${expiresAt.toISOString()}`);
+        log.info('Updating refreshed tokens', { user_id: userId, refresh_token_rotated: Boolean(tokens.refresh_token), expires_at: expiresAt });
 
-        await pool.query(
-          'UPDATE oauth_tokens SET access_token = $1, expires_at = $2, updated_at = NOW() WHERE user_id = $3',
-          [tokens.access_token, expiresAt, userId]
-        );
-      }
+        // Both tokens share one data key, so they are re-encrypted together
+        const encrypted = encryptTokens(userId, {
+          accessToken: tokens.access_token || oauth2Client.credentials.access_token,
+          refreshToken: tokens.refresh_token || refresh_token
+        });
 
-      if (tokens.refresh_token) {
-        console.log(`✅ Updating refresh_token for user ${userId}`);
         await pool.query(
-          'UPDATE oauth_tokens SET refresh_token = $1, updated_at = NOW() WHERE user_id = $2',
-          [tokens.refresh_token, userId]
+          `UPDATE oauth_tokens
+           SET access_token = $1, refresh_token = $2, token_key_id = $3, wrapped_data_key = $4, expires_at = $5, updated_at = NOW()
+           WHERE user_id = $6`,
+          [encrypted.accessToken, encrypted.refreshToken, encrypted.keyId, encrypted.wrappedDataKey, expiresAt, userId]
         );
       }
+
+      await recordTokenSuccess(userId, true);
+      metrics.tokenRefreshes.inc({ outcome: 'success' });
     } catch (error) {
-      console.error(`❌ Error updating tokens for user ${userId}:`, error.message);
+      metrics.tokenRefreshes.inc({ outcome: 'store_failed' });
+      log.error('Error updating tokens', { user_id: userId, err: error });
     }
   });
 
@@ -79,102 +123,109 @@ async function getOAuthClientForUser(userId) {
 }
 
 /**
- * Finds devices that have not reported recently, and triggers polling.
+ * Device Access project ID from the environment, or derived from one of the user's devices
  */
-async function pollStaleDevices() {
+async function resolveProjectId(userId) {
+  if (process.env.GOOGLE_PROJECT_ID) return process.env.GOOGLE_PROJECT_ID;
+
   const pool = getPool();
+  const deviceResult = await pool.query(
+    'SELECT device_name FROM device_status WHERE bubble_user_id = $1 LIMIT 1',
+    [userId]
+  );
 
+  if (deviceResult.rows.length === 0) return null;
+  return deviceResult.rows[0].device_name.split('/')[1];
+}
+
+/**
+ * Polls every device whose next_poll_at has passed, plus users due for a
+ * discovery listing. Devices that reported on their own since being scheduled
+ * are pushed back instead of polled. Users are polled with bounded concurrency
+ * and each poll takes a token from the user's rate limit bucket; users without
+ * a token stay due for the next tick.
+ */
+async function pollDueDevices() {
   try {
-    console.log('\n=== CHECKING FOR STALE DEVICES ===');
-
-    const now = new Date();
-    const staleThreshold = new Date(now.getTime() - STALE_THRESHOLD_MS);
-
-    // Find devices that haven't reported in 20+ minutes
-    const staleDevicesResult = await pool.query(
-      `
-      SELECT
-        ds.device_key,
-        ds.device_name,
-        ds.bubble_user_id AS user_id,
-        ds.last_seen_at,
-        ds.last_activity_at,
-        GREATEST(ds.last_seen_at, ds.last_activity_at) AS last_update,
-        EXTRACT(EPOCH FROM (NOW() - GREATEST(ds.last_seen_at, ds.last_activity_at))) / 60 AS minutes_since_update
-      FROM device_status ds
-      WHERE ds.bubble_user_id IS NOT NULL
-        AND (GREATEST(ds.last_seen_at, ds.last_activity_at) < $1
-         OR (ds.last_seen_at IS NULL AND ds.last_activity_at IS NULL))
-      ORDER BY GREATEST(ds.last_seen_at, ds.last_activity_at) ASC NULLS FIRST
-      `,
-      [staleThreshold]
+    await retryReauthNotifications().catch((err) =>
+      log.error('Re-auth notification retry failed', { err })
     );
 
-    if (staleDevicesResult.rows.length === 0) {
-      console.log('✓ All devices are up-to-date (no polling needed)');
-      console.log('=== CHECK COMPLETE ===\n');
-      return;
+    // Users with dead grants or in token backoff are skipped
+    const candidates = await findDueDevices(pollableTokenCondition('ot'));
+    const dueDevices = await deferFreshDevices(candidates);
+    metrics.pollerStaleDevices.set({}, dueDevices.length);
+    metrics.pollerDeferredDevices.set({}, candidates.length - dueDevices.length);
+    const discoveryUsers = await findUsersDueForDiscovery(pollableTokenCondition());
+
+    const devicesByUser = new Map(discoveryUsers.map((userId) => [userId, []]));
+    for (const device of dueDevices) {
+      if (!devicesByUser.has(device.user_id)) devicesByUser.set(device.user_id, []);
+      devicesByUser.get(device.user_id).push(device.device_key);
     }
 
-    console.log(`Found ${staleDevicesResult.rows.length} stale device(s) to poll:`);
-
-    for (const device of staleDevicesResult.rows) {
-      const minutesStaleRaw = device.minutes_since_update;
-      const minutesStale =
-        typeof minutesStaleRaw === 'number' && !isNaN(minutesStaleRaw)
-          ? minutesStaleRaw
-          : 0;
-      const staleMsg =
-        minutesStale > 0
-          ? `${minutesStale.toFixed(1)} min ago`
-          : 'never updated';
-      console.log(`  - ${device.device_key}: ${staleMsg}`);
+    if (devicesByUser.size === 0) {
+      metrics.pollerRateLimitedUsers.set({}, 0);
+      metrics.pollerRuns.inc({ outcome: 'idle' });
+      pollerStatus.lastSuccessAt = new Date();
+      return;
     }
 
-    // Group by user to minimize API calls
-    const devicesByUser = staleDevicesResult.rows.reduce((acc, device) => {
-      if (!acc[device.user_id]) acc[device.user_id] = [];
-      acc[device.user_id].push(device);
-      return acc;
-    }, {});
-
-    console.log(`Polling ${Object.keys(devicesByUser).length} user(s)`);
-
-    for (const [userId, devices] of Object.entries(devicesByUser)) {
-      await pollUserDevices(userId, devices.map((d) => d.device_key));
-    }
+    const users = [...devicesByUser.keys()].filter((userId) => pollRateLimiter.tryAcquire(userId));
+    const limited = devicesByUser.size - users.length;
+    metrics.pollerRateLimitedUsers.set({}, limited);
+    log.info('Polling due devices', { devices: dueDevices.length, users: users.length, rate_limited_users: limited });
+
+    await runWithConcurrency(users, POLL_CONFIG.userConcurrency, async (userId) => {
+      const deviceKeys = devicesByUser.get(userId);
+      const processed = await pollUserDevices(userId, deviceKeys);
+      metrics.pollerUserPolls.inc({ outcome: processed ? 'ok' : 'error' });
+
+      try {
+        if (processed) {
+          await markUserPolled(userId);
+          await scheduleNextPolls([...new Set([...deviceKeys, ...processed])]);
+        } else {
+          await deferAfterError(deviceKeys);
+        }
+      } catch (err) {
+        log.error('Error scheduling next polls', { user_id: userId, err });
+      }
+    });
 
-    console.log('=== STALE DEVICE CHECK COMPLETE ===\n');
+    metrics.pollerRuns.inc({ outcome: 'ok' });
+    pollerStatus.lastSuccessAt = new Date();
+    log.info('Poll complete');
   } catch (error) {
-    console.error('Error checking stale devices:', error.message);
+    metrics.pollerRuns.inc({ outcome: 'error' });
+    pollerStatus.lastErrorAt = new Date();
+    log.error('Error polling due devices', { err: error });
   }
 }
 
+function pollTick() {
+  if (pollRun) return pollRun;
+  pollerStatus.tickStartedAt = new Date();
+  pollRun = pollDueDevices().finally(() => {
+    pollRun = null;
+    pollerStatus.tickStartedAt = null;
+  });
+  return pollRun;
+}
+
 /**
  * Polls the Nest API for a user’s devices and sends synthetic events to runtimeTracker.
+ * Returns the keys of the devices processed, or null when the poll failed.
  */
 async function pollUserDevices(userId, staleDeviceIds = null) {
   try {
-    console.log(`Polling devices for user: ${userId}`);
+    log.info('Polling devices for user', { user_id: userId });
 
     const auth = await getOAuthClientForUser(userId);
-    let projectId = process.env.GOOGLE_PROJECT_ID;
-
-    // Derive projectId dynamically if missing
+    const projectId = await resolveProjectId(userId);
     if (!projectId) {
-      const pool = getPool();
-      const deviceResult = await pool.query(
-        'SELECT device_name FROM device_status WHERE bubble_user_id = $1 LIMIT 1',
-        [userId]
-      );
-
-      if (deviceResult.rows.length > 0) {
-        const parts = deviceResult.rows[0].device_name.split('/');
-        projectId = parts[1];
-      } else {
-        console.error('Cannot determine project ID for user:', userId);
-        return;
-      }
+      log.error('Cannot determine project ID for user', { user_id: userId });
+      return null;
     }
 
     const response = await smartdevicemanagement.enterprises.devices.list({
@@ -182,32 +233,34 @@ async function pollUserDevices(userId, staleDeviceIds = null) {
       parent: `enterprises/${projectId}`
     });
 
+    await recordTokenSuccess(userId);
+
     const devices = response.data.devices || [];
-    console.log(`Found ${devices.length} total device(s) for user ${userId}`);
+    log.info('Listed devices', { user_id: userId, devices: devices.length });
+
+    // Register newly listed thermostats and flag ones that disappeared
+    let discoveredIds = [];
+    try {
+      discoveredIds = await reconcileUserDevices(userId, devices);
+    } catch (err) {
+      log.error('Error reconciling devices', { user_id: userId, err });
+    }
 
-    // Filter to only stale devices if specified
+    // Filter to only stale (or just discovered) devices if specified
     const devicesToProcess = staleDeviceIds
       ? devices.filter((d) => {
           const deviceId = d.name.split('/').pop();
-          return staleDeviceIds.includes(deviceId);
+          return staleDeviceIds.includes(deviceId) || discoveredIds.includes(deviceId);
         })
       : devices;
 
-    console.log(`Processing ${devicesToProcess.length} device(s)`);
 
     for (const device of devicesToProcess) {
       const deviceId = device.name.split('/').pop();
-      console.log(`📡 Polling stale device: ${deviceId}`);
-
-      // Log device metadata if available
-      const customName = device.traits?.['sdm.devices.traits.Info']?.customName;
-      const roomName = device.parentRelations?.[0]?.displayName;
-      if (customName) console.log(`   Custom name: "${customName}"`);
-      if (roomName) console.log(`   Room: "${roomName}"`);
-
       const syntheticEvent = {
         eventId: `poll-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
         timestamp: new Date().toISOString(),
+        source: 'poll',
         resourceUpdate: {
           name: device.name,
           traits: device.traits || {},
@@ -217,77 +270,252 @@ async function pollUserDevices(userId, staleDeviceIds = null) {
         resourceGroup: [device.name]
       };
 
-      await handleDeviceEvent(syntheticEvent);
+      // Each poll event is traced on its own, with the same per-device
+      // serialization as webhook and Pub/Sub events
+      await withCorrelationId(newCorrelationId(), () => {
+        log.info('Polling device', {
+          device_key: deviceId,
+          user_id: userId,
+          event_id: syntheticEvent.eventId,
+          custom_name: device.traits?.['sdm.devices.traits.Info']?.customName,
+          room_name: device.parentRelations?.[0]?.displayName
+        });
+        return withDeviceLock(deviceId, () => handleDeviceEvent(syntheticEvent));
+      });
     }
+
+    return devicesToProcess.map((d) => d.name.split('/').pop());
   } catch (error) {
-    console.error(`❌ Error polling devices for user ${userId}:`, error.message);
-
-    // Provide specific guidance for common errors
-    if (error.message.includes('Invalid Credentials') || error.message.includes('invalid_grant')) {
-      console.error(`   ⚠️  Token issue detected for user ${userId}:`);
-      console.error(`   - Access token may be expired`);
-      console.error(`   - Refresh token may be missing or invalid`);
-      console.error(`   - User may need to re-authenticate via Bubble`);
-      console.error(`   → Check oauth_tokens table: SELECT user_id, refresh_token IS NOT NULL as has_refresh, expires_at FROM oauth_tokens WHERE user_id = '${userId}';`);
+    log.error('Error polling devices', { user_id: userId, err: error });
+
+    // Token problems update oauth_tokens.token_status (backoff or re-link notification)
+    const tokenStatus = error instanceof ReauthRequiredError
+      ? error.tokenStatus
+      : await recordTokenFailure(userId, error).catch((err) => {
+        log.error('Error recording token failure', { user_id: userId, err });
+        return null;
+      });
+
+    if (tokenStatus) {
+      log.warn('Token status after poll failure', { user_id: userId, token_status: tokenStatus });
     } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      console.error(`   ⚠️  Network error - Google API may be unreachable`);
+      log.warn('Network error - Google API may be unreachable', { user_id: userId, code: error.code });
     } else {
-      console.error(`   Error details:`, error);
+      // Google API errors carry the request config (including the bearer token), so log only the response
+      log.error('Poll error details', { user_id: userId, response: error.response?.data || error.message });
     }
+    return null;
   }
 }
 
 /**
- * Manual full poll of all users (startup or manual trigger)
+ * Manual full poll of all users. Startup no longer does this; the scheduler
+ * picks up whatever is due.
  */
 async function pollAllUsers() {
   const pool = getPool();
 
   try {
-    console.log('\n=== POLLING ALL DEVICES (MANUAL) ===');
+    log.info('Polling all devices (manual)');
 
-    const usersResult = await pool.query('SELECT DISTINCT user_id FROM oauth_tokens');
-    console.log(`Found ${usersResult.rows.length} user(s) with tokens`);
+    const usersResult = await pool.query(`SELECT DISTINCT user_id FROM oauth_tokens WHERE ${pollableTokenCondition()}`);
+    log.info('Found users with usable tokens', { users: usersResult.rows.length });
 
-    for (const row of usersResult.rows) {
-      await pollUserDevices(row.user_id);
+    await runWithConcurrency(usersResult.rows, POLL_CONFIG.userConcurrency, async (row) => {
+      const processed = await pollUserDevices(row.user_id);
+      if (processed) {
+        await markUserPolled(row.user_id);
+        await scheduleNextPolls(processed);
+      }
+    });
+
+    log.info('Manual polling complete');
+  } catch (error) {
+    log.error('Manual polling error', { err: error });
+  }
+}
+
+/**
+ * Lists every page of an SDM list endpoint
+ */
+async function listAll(listFn, params, key) {
+  const items = [];
+  let pageToken;
+
+  do {
+    const response = await listFn({ ...params, pageToken });
+    items.push(...(response.data[key] || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  return items;
+}
+
+/**
+ * Syncs a user's structures (homes) and rooms from the SDM API. Structures the
+ * user no longer has access to are removed along with their rooms.
+ */
+async function syncUserStructures(userId) {
+  const auth = await getOAuthClientForUser(userId);
+  const projectId = await resolveProjectId(userId);
+  if (!projectId) {
+    log.warn('Cannot determine project ID, skipping structure sync', { user_id: userId });
+    return null;
+  }
+
+  const structures = await listAll(
+    (params) => smartdevicemanagement.enterprises.structures.list(params),
+    { auth, parent: `enterprises/${projectId}` },
+    'structures'
+  );
+
+  const roomsByStructure = new Map();
+  for (const structure of structures) {
+    const rooms = await listAll(
+      (params) => smartdevicemanagement.enterprises.structures.rooms.list(params),
+      { auth, parent: structure.name },
+      'rooms'
+    );
+    roomsByStructure.set(structure.name, rooms);
+  }
+
+  const pool = getPool();
+  const client = await pool.connect();
+  let roomCount = 0;
+
+  try {
+    await client.query('BEGIN');
+
+    for (const structure of structures) {
+      await client.query(
+        `INSERT INTO structures (user_id, structure_name, structure_key, display_name, traits, synced_at, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW(), NOW(), NOW())
+         ON CONFLICT (user_id, structure_name) DO UPDATE SET
+           display_name = EXCLUDED.display_name,
+           traits = EXCLUDED.traits,
+           synced_at = NOW(),
+           updated_at = NOW()`,
+        [
+          userId,
+          structure.name,
+          structure.name.split('/').pop(),
+          structure.traits?.['sdm.structures.traits.Info']?.customName || null,
+          JSON.stringify(structure.traits || {})
+        ]
+      );
+
+      const roomNames = [];
+      for (const room of roomsByStructure.get(structure.name)) {
+        roomNames.push(room.name);
+        await client.query(
+          `INSERT INTO rooms (user_id, room_name, room_key, structure_name, display_name, synced_at, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, NOW(), NOW(), NOW())
+           ON CONFLICT (user_id, room_name) DO UPDATE SET
+             display_name = EXCLUDED.display_name,
+             synced_at = NOW(),
+             updated_at = NOW()`,
+          [
+            userId,
+            room.name,
+            room.name.split('/').pop(),
+            structure.name,
+            room.traits?.['sdm.structures.traits.RoomInfo']?.customName || null
+          ]
+        );
+      }
+      roomCount += roomNames.length;
+
+      await client.query(
+        'DELETE FROM rooms WHERE user_id = $1 AND structure_name = $2 AND NOT (room_name = ANY($3::TEXT[]))',
+        [userId, structure.name, roomNames]
+      );
     }
 
-    console.log('=== MANUAL POLLING COMPLETE ===\n');
+    await client.query(
+      'DELETE FROM structures WHERE user_id = $1 AND NOT (structure_name = ANY($2::TEXT[]))',
+      [userId, structures.map((s) => s.name)]
+    );
+
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('Manual polling error:', error.message);
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
+
+  log.info('Synced structures and rooms', { user_id: userId, structures: structures.length, rooms: roomCount });
+  return { structures: structures.length, rooms: roomCount };
 }
 
 /**
- * Starts the periodic stale device poller
+ * Structure/room sync for every user with tokens
+ */
+async function syncAllStructures() {
+  const pool = getPool();
+
+  try {
+    const usersResult = await pool.query(`SELECT DISTINCT user_id FROM oauth_tokens WHERE ${pollableTokenCondition()}`);
+
+    for (const row of usersResult.rows) {
+      try {
+        await syncUserStructures(row.user_id);
+      } catch (error) {
+        log.error('Error syncing structures', { user_id: row.user_id, err: error });
+        await recordTokenFailure(row.user_id, error).catch(() => {});
+      }
+    }
+  } catch (error) {
+    log.error('Structure sync error', { err: error });
+  }
+}
+
+/**
+ * Starts the adaptive device poller (no-op if already running)
  */
 function startPoller() {
-  console.log(
-    `Starting stale device checker (every ${POLL_INTERVAL_MS / 60000} minutes)`
-  );
-  console.log(
-    `Will poll devices with no update in ${STALE_THRESHOLD_MS / 60000} minutes`
-  );
+  if (pollInterval) return;
+  log.info('Starting device poll scheduler', { poll_config: POLL_CONFIG });
+  pollerStatus.startedAt = new Date();
 
-  // Run immediately on startup
-  pollStaleDevices().catch((err) =>
-    console.error('Initial stale check failed (non-fatal):', err.message)
-  );
+  // Run immediately on startup, then every tick
+  pollTick();
+  pollInterval = setInterval(pollTick, POLL_CONFIG.tickMs);
 
-  // Then run on interval
-  pollInterval = setInterval(pollStaleDevices, POLL_INTERVAL_MS);
+  // Structures and rooms change rarely; sync on startup, then every few hours
+  syncAllStructures();
+  structureSyncInterval = setInterval(syncAllStructures, STRUCTURE_SYNC_INTERVAL_MS);
 }
 
 /**
- * Stops the poller
+ * Stops the poller, waiting for an in-flight tick
  */
-function stopPoller() {
+async function stopPoller() {
   if (pollInterval) {
     clearInterval(pollInterval);
     pollInterval = null;
-    console.log('Poller stopped');
+    log.info('Poller stopped');
   }
+  if (structureSyncInterval) {
+    clearInterval(structureSyncInterval);
+    structureSyncInterval = null;
+  }
+  if (pollRun) await pollRun;
+  pollerStatus.startedAt = null;
+}
+
+/**
+ * Whether this replica is polling, and when its ticks last succeeded, failed
+ * and started (tick_started_at is null between ticks)
+ */
+function getPollerStatus() {
+  return {
+    running: Boolean(pollInterval),
+    started_at: pollerStatus.startedAt,
+    last_success_at: pollerStatus.lastSuccessAt,
+    last_error_at: pollerStatus.lastErrorAt,
+    tick_started_at: pollerStatus.tickStartedAt
+  };
 }
 
-module.exports = { startPoller, stopPoller, pollUserDevices, pollAllUsers };
+module.exports = { startPoller, stopPoller, getPollerStatus, pollDueDevices, pollUserDevices, pollAllUsers, getOAuthClientForUser, syncUserStructures, syncAllStructures };
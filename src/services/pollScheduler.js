@@ -0,0 +1,214 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+
+const env = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+
+/**
+ * Poll intervals per device state. A device is only polled when it hasn't
+ * reported (Pub/Sub or poll) for its interval, so devices with a healthy event
+ * stream are rarely polled at all.
+ */
+const POLL_CONFIG = {
+  tickMs: env('POLL_TICK_MS', 60 * 1000),
+  activeIntervalMs: env('POLL_ACTIVE_INTERVAL_MS', 5 * 60 * 1000),
+  recentIntervalMs: env('POLL_RECENT_INTERVAL_MS', 10 * 60 * 1000),
+  recentWindowMs: env('POLL_RECENT_WINDOW_MS', 30 * 60 * 1000),
+  idleIntervalMs: env('POLL_IDLE_INTERVAL_MS', 20 * 60 * 1000),
+  offlineBaseMs: env('POLL_OFFLINE_BASE_MS', 20 * 60 * 1000),
+  offlineMaxMs: env('POLL_OFFLINE_MAX_MS', 6 * 60 * 60 * 1000),
+  errorRetryMs: env('POLL_ERROR_RETRY_MS', 5 * 60 * 1000),
+  discoveryIntervalMs: env('POLL_DISCOVERY_INTERVAL_MS', 60 * 60 * 1000),
+  userConcurrency: Math.max(1, env('POLL_USER_CONCURRENCY', 4)),
+  userRequestsPerMinute: env('SDM_POLL_REQUESTS_PER_MINUTE', 4),
+  userBurst: Math.max(1, env('SDM_POLL_BURST', 2))
+};
+
+/**
+ * How long after its last update a device should next be polled:
+ * - offline or missing from the account: exponential backoff per consecutive offline poll
+ * - session running: activeIntervalMs
+ * - session ended within recentWindowMs: recentIntervalMs
+ * - otherwise: idleIntervalMs
+ */
+function pollIntervalFor(device, now = new Date()) {
+  if (device.missing_since || device.is_reachable === false) {
+    const attempts = Math.min(device.offline_poll_count || 0, 20);
+    return Math.min(POLL_CONFIG.offlineBaseMs * 2 ** attempts, POLL_CONFIG.offlineMaxMs);
+  }
+  if (device.is_running) return POLL_CONFIG.activeIntervalMs;
+
+  const endedAt = device.last_session_ended_at ? new Date(device.last_session_ended_at) : null;
+  if (endedAt && now - endedAt < POLL_CONFIG.recentWindowMs) return POLL_CONFIG.recentIntervalMs;
+
+  return POLL_CONFIG.idleIntervalMs;
+}
+
+/**
+ * Per-user token buckets for SDM poll requests. Google enforces per-user QPM
+ * limits on the SDM API; polling stays under them so commands keep headroom.
+ */
+class UserRateLimiter {
+  constructor({ perMinute, burst }) {
+    this.ratePerMs = perMinute / 60000;
+    this.burst = burst;
+    this.buckets = new Map();
+  }
+
+  tryAcquire(userId, now = Date.now()) {
+    const bucket = this.buckets.get(userId) || { tokens: this.burst, updatedAt: now };
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.ratePerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(userId, bucket);
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+}
+
+/**
+ * Runs fn over items with at most `limit` calls in flight
+ */
+async function runWithConcurrency(items, limit, fn) {
+  const queue = [...items];
+  const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await fn(queue.shift());
+    }
+  });
+  await Promise.all(workers);
+}
+
+const DEVICE_STATE_COLUMNS = `
+  ds.device_key,
+  ds.bubble_user_id AS user_id,
+  ds.is_running,
+  ds.is_reachable,
+  ds.missing_since,
+  ds.offline_poll_count,
+  ds.next_poll_at,
+  GREATEST(ds.last_seen_at, ds.last_activity_at) AS last_update,
+  (SELECT MAX(rs.ended_at) FROM runtime_sessions rs WHERE rs.device_key = ds.device_key) AS last_session_ended_at`;
+
+/**
+ * Devices whose next poll is due, for users whose tokens can be used
+ */
+async function findDueDevices(tokenCondition) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${DEVICE_STATE_COLUMNS}
+     FROM device_status ds
+     LEFT JOIN oauth_tokens ot ON ot.user_id = ds.bubble_user_id
+     WHERE ds.bubble_user_id IS NOT NULL
+       AND (ot.user_id IS NULL OR (${tokenCondition}))
+       AND (ds.next_poll_at IS NULL OR ds.next_poll_at <= NOW())
+     ORDER BY ds.next_poll_at ASC NULLS FIRST`
+  );
+  return result.rows;
+}
+
+/**
+ * Users with usable tokens that haven't had a full device listing for
+ * discoveryIntervalMs, so new devices are found even when nothing is due
+ */
+async function findUsersDueForDiscovery(tokenCondition) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT user_id FROM oauth_tokens
+     WHERE (${tokenCondition})
+       AND (last_polled_at IS NULL OR last_polled_at < NOW() - ($1 * INTERVAL '1 millisecond'))`,
+    [POLL_CONFIG.discoveryIntervalMs]
+  );
+  return result.rows.map((row) => row.user_id);
+}
+
+async function writeNextPolls(entries) {
+  if (entries.length === 0) return;
+  const pool = getPool();
+  await pool.query(
+    `UPDATE device_status ds
+     SET next_poll_at = v.next_poll_at, offline_poll_count = v.offline_poll_count
+     FROM unnest($1::TEXT[], $2::TIMESTAMPTZ[], $3::INTEGER[]) AS v(device_key, next_poll_at, offline_poll_count)
+     WHERE ds.device_key = v.device_key`,
+    [entries.map((e) => e.deviceKey), entries.map((e) => e.nextPollAt), entries.map((e) => e.offlinePollCount)]
+  );
+}
+
+/**
+ * Splits due devices into ones that actually need polling and ones that reported
+ * recently on their own; the latter are pushed out to last update + interval.
+ */
+async function deferFreshDevices(devices, now = new Date()) {
+  const stale = [];
+  const deferred = [];
+
+  for (const device of devices) {
+    const nextFromUpdate = device.last_update
+      ? new Date(new Date(device.last_update).getTime() + pollIntervalFor(device, now))
+      : null;
+
+    if (nextFromUpdate && nextFromUpdate > now && !device.missing_since && device.is_reachable !== false) {
+      deferred.push({ deviceKey: device.device_key, nextPollAt: nextFromUpdate, offlinePollCount: 0 });
+    } else {
+      stale.push(device);
+    }
+  }
+
+  await writeNextPolls(deferred);
+  return stale;
+}
+
+/**
+ * Sets next_poll_at after a poll from the devices' fresh state. Consecutive
+ * polls that find a device offline (or missing) grow its backoff.
+ */
+async function scheduleNextPolls(deviceKeys, now = new Date()) {
+  if (deviceKeys.length === 0) return;
+
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${DEVICE_STATE_COLUMNS} FROM device_status ds WHERE ds.device_key = ANY($1::TEXT[])`,
+    [deviceKeys]
+  );
+
+  await writeNextPolls(result.rows.map((device) => {
+    const offline = Boolean(device.missing_since) || device.is_reachable === false;
+    return {
+      deviceKey: device.device_key,
+      nextPollAt: new Date(now.getTime() + pollIntervalFor(device, now)),
+      offlinePollCount: offline ? (device.offline_poll_count || 0) + 1 : 0
+    };
+  }));
+}
+
+/**
+ * Pushes devices out by errorRetryMs after a failed poll (token backoff is
+ * handled separately by tokenHealth)
+ */
+async function deferAfterError(deviceKeys, now = new Date()) {
+  if (deviceKeys.length === 0) return;
+  const pool = getPool();
+  await pool.query(
+    'UPDATE device_status SET next_poll_at = $2 WHERE device_key = ANY($1::TEXT[])',
+    [deviceKeys, new Date(now.getTime() + POLL_CONFIG.errorRetryMs)]
+  );
+}
+
+async function markUserPolled(userId) {
+  const pool = getPool();
+  await pool.query('UPDATE oauth_tokens SET last_polled_at = NOW() WHERE user_id = $1', [userId]);
+}
+
+module.exports = {
+  POLL_CONFIG,
+  pollIntervalFor,
+  UserRateLimiter,
+  runWithConcurrency,
+  findDueDevices,
+  findUsersDueForDiscovery,
+  deferFreshDevices,
+  scheduleNextPolls,
+  deferAfterError,
+  markUserPolled
+};
@@ -0,0 +1,292 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { metrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const CLOCK_SKEW_SECONDS = 300;
+const DEFAULT_JWKS_TTL_MS = 60 * 60 * 1000;
+const JWKS_FORCED_REFRESH_MS = 60 * 1000;
+
+const AUDIENCE = process.env.PUBSUB_AUDIENCE;
+const SERVICE_ACCOUNT_EMAIL = process.env.PUBSUB_SERVICE_ACCOUNT_EMAIL;
+const VERIFICATION_TOKEN = process.env.PUBSUB_VERIFICATION_TOKEN;
+const JWKS_URL = process.env.PUBSUB_JWKS_URL || GOOGLE_JWKS_URL;
+const JWKS_FILE = process.env.PUBSUB_JWKS_FILE; // local JWKS stand-in (tests / offline)
+const ISSUERS = process.env.PUBSUB_TOKEN_ISSUERS
+  ? process.env.PUBSUB_TOKEN_ISSUERS.split(',').map((s) => s.trim())
+  : GOOGLE_ISSUERS;
+
+/**
+ * Resolves PUBSUB_AUTH_MODE:
+ * - oidc: require a Pub/Sub OIDC bearer token
+ * - token: require ?token=PUBSUB_VERIFICATION_TOKEN on the push URL
+ * - oidc_or_token: accept either
+ * - none: accept everything (legacy behavior, only when set explicitly)
+ * When unset, the mode follows whichever of PUBSUB_AUDIENCE / PUBSUB_VERIFICATION_TOKEN is configured;
+ * with neither it is 'unconfigured' and every push is rejected as misconfigured.
+ */
+function resolveAuthMode() {
+  const configured = (process.env.PUBSUB_AUTH_MODE || '').toLowerCase();
+  if (configured) return configured;
+  if (AUDIENCE && VERIFICATION_TOKEN) return 'oidc_or_token';
+  if (AUDIENCE) return 'oidc';
+  if (VERIFICATION_TOKEN) return 'token';
+  return 'unconfigured';
+}
+
+const AUTH_MODE = resolveAuthMode();
+
+const stats = {
+  accepted: 0,
+  rejected: {}
+};
+
+const log = createLogger('pubsubAuth');
+
+let jwksCache = { keys: new Map(), expiresAt: 0 };
+let lastForcedRefreshAt = 0;
+
+class PushAuthError extends Error {
+  constructor(reason, message, statusCode = 401) {
+    super(message);
+    this.name = 'PushAuthError';
+    this.reason = reason;
+    this.statusCode = statusCode;
+  }
+}
+
+function recordRejection(reason) {
+  stats.rejected[reason] = (stats.rejected[reason] || 0) + 1;
+  metrics.webhookEventsRejected.inc({ reason });
+}
+
+function getPushAuthStats() {
+  const totalRejected = Object.values(stats.rejected).reduce((sum, n) => sum + n, 0);
+  return { mode: AUTH_MODE, accepted: stats.accepted, rejected: totalRejected, rejectedByReason: { ...stats.rejected } };
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function parseMaxAge(cacheControl) {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return match ? parseInt(match[1], 10) * 1000 : DEFAULT_JWKS_TTL_MS;
+}
+
+/**
+ * Loads signing keys from PUBSUB_JWKS_FILE or the JWKS URL, honoring Cache-Control
+ */
+async function loadJwks(force = false) {
+  if (!force && jwksCache.expiresAt > Date.now()) return jwksCache.keys;
+
+  let jwks;
+  let ttl = DEFAULT_JWKS_TTL_MS;
+  if (JWKS_FILE) {
+    jwks = JSON.parse(fs.readFileSync(JWKS_FILE, 'utf-8'));
+  } else {
+    const response = await axios.get(JWKS_URL, { timeout: 5000 });
+    jwks = response.data;
+    ttl = parseMaxAge(response.headers?.['cache-control']);
+  }
+
+  const keys = new Map();
+  for (const jwk of jwks.keys || []) {
+    if (jwk.kid && jwk.kty === 'RSA') {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+
+  jwksCache = { keys, expiresAt: Date.now() + ttl };
+  return keys;
+}
+
+async function getSigningKey(kid) {
+  let keys = await loadJwks();
+  // Google rotates keys; refetch before rejecting an unknown kid, at most once a
+  // minute so unauthenticated requests can't make every push call out to Google
+  if (!keys.has(kid) && Date.now() - lastForcedRefreshAt >= JWKS_FORCED_REFRESH_MS) {
+    lastForcedRefreshAt = Date.now();
+    keys = await loadJwks(true);
+  }
+  return keys.get(kid);
+}
+
+/**
+ * Verifies a Pub/Sub push OIDC token (RS256) and returns its claims
+ */
+async function verifyOidcToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new PushAuthError('malformed_token', 'Malformed bearer token');
+
+  let header, claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf-8'));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf-8'));
+  } catch (err) {
+    throw new PushAuthError('malformed_token', 'Bearer token is not valid JSON');
+  }
+
+  if (header.alg !== 'RS256') throw new PushAuthError('unsupported_alg', `Unsupported token algorithm: ${header.alg}`);
+  if (typeof header.kid !== 'string' || !header.kid) throw new PushAuthError('missing_kid', 'Token header has no key ID');
+
+  let key;
+  try {
+    key = await getSigningKey(header.kid);
+  } catch (err) {
+    throw new PushAuthError('jwks_unavailable', `Could not load signing keys: ${err.message}`, 503);
+  }
+  if (!key) throw new PushAuthError('unknown_kid', `Unknown signing key: ${header.kid}`);
+
+  const signatureValid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key,
+    base64UrlDecode(parts[2])
+  );
+  if (!signatureValid) throw new PushAuthError('bad_signature', 'Token signature is invalid');
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < nowSec) {
+    throw new PushAuthError('expired', 'Token has expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > nowSec) {
+    throw new PushAuthError('not_yet_valid', 'Token issued in the future');
+  }
+  if (!ISSUERS.includes(claims.iss)) {
+    throw new PushAuthError('bad_issuer', `Unexpected token issuer: ${claims.iss}`, 403);
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!AUDIENCE || !audiences.includes(AUDIENCE)) {
+    throw new PushAuthError('bad_audience', 'Token audience does not match PUBSUB_AUDIENCE', 403);
+  }
+
+  if (SERVICE_ACCOUNT_EMAIL) {
+    if (claims.email !== SERVICE_ACCOUNT_EMAIL || claims.email_verified === false) {
+      throw new PushAuthError('bad_service_account', `Token not issued for ${SERVICE_ACCOUNT_EMAIL}`, 403);
+    }
+  }
+
+  return claims;
+}
+
+function verifySharedToken(provided) {
+  if (!VERIFICATION_TOKEN || typeof provided !== 'string') return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(VERIFICATION_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function authenticatePush(req) {
+  if (AUTH_MODE === 'none') return { method: 'none' };
+  if (AUTH_MODE === 'unconfigured') {
+    throw new PushAuthError('misconfigured', 'Push authentication is not configured (set PUBSUB_AUDIENCE, PUBSUB_VERIFICATION_TOKEN or PUBSUB_AUTH_MODE)', 500);
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  const allowOidc = AUTH_MODE === 'oidc' || AUTH_MODE === 'oidc_or_token';
+  const allowToken = AUTH_MODE === 'token' || AUTH_MODE === 'oidc_or_token';
+
+  if (allowOidc && bearer) {
+    const claims = await verifyOidcToken(bearer);
+    return { method: 'oidc', email: claims.email };
+  }
+
+  if (allowToken && req.query.token !== undefined) {
+    if (verifySharedToken(req.query.token)) return { method: 'token' };
+    throw new PushAuthError('bad_shared_token', 'Invalid verification token');
+  }
+
+  if (!allowOidc && !allowToken) {
+    throw new PushAuthError('misconfigured', `Unknown PUBSUB_AUTH_MODE: ${AUTH_MODE}`, 500);
+  }
+
+  throw new PushAuthError('missing_credentials', 'No push credentials provided');
+}
+
+/**
+ * Checks the Pub/Sub push envelope and decodes the SDM event it carries.
+ * Device names must belong to GOOGLE_PROJECT_ID when that is configured.
+ */
+function decodePushEnvelope(body) {
+  const message = body?.message;
+  if (!message || typeof message.data !== 'string') {
+    throw new PushAuthError('bad_envelope', 'Missing message.data in Pub/Sub envelope', 400);
+  }
+
+  const expectedSubscription = process.env.GOOGLE_PUBSUB_SUBSCRIPTION;
+  if (expectedSubscription && body.subscription && !body.subscription.endsWith(`/${expectedSubscription}`) && body.subscription !== expectedSubscription) {
+    throw new PushAuthError('bad_subscription', `Unexpected subscription: ${body.subscription}`, 403);
+  }
+
+  let eventData;
+  try {
+    eventData = JSON.parse(Buffer.from(message.data, 'base64').toString('utf-8'));
+  } catch (err) {
+    throw new PushAuthError('bad_payload', 'message.data is not base64-encoded JSON', 400);
+  }
+
+  const resourceName = eventData?.resourceUpdate?.name;
+  if (resourceName) {
+    const projectId = process.env.GOOGLE_PROJECT_ID;
+    const pattern = /^enterprises\/([^/]+)\/devices\/[^/]+$/;
+    const match = pattern.exec(resourceName);
+    if (!match || (projectId && match[1] !== projectId)) {
+      throw new PushAuthError('bad_resource', `Unexpected device resource: ${resourceName}`, 403);
+    }
+  }
+
+  return eventData;
+}
+
+/**
+ * Express middleware for POST /webhook. On success sets req.pubsubEvent to the
+ * decoded SDM event (or the raw body in legacy 'none' mode without an envelope).
+ */
+async function verifyPubSubPush(req, res, next) {
+  try {
+    const auth = await authenticatePush(req);
+
+    if (AUTH_MODE === 'none' && !req.body?.message) {
+      req.pubsubEvent = req.body;
+    } else {
+      req.pubsubEvent = decodePushEnvelope(req.body);
+    }
+    req.pubsubAuth = auth;
+    stats.accepted++;
+    metrics.webhookEventsReceived.inc();
+    next();
+  } catch (err) {
+    const reason = err instanceof PushAuthError ? err.reason : 'error';
+    const statusCode = err instanceof PushAuthError ? err.statusCode : 500;
+    recordRejection(reason);
+    log.warn('Rejected push', { reason, message: err.message });
+    res.status(statusCode).json({ error: 'Rejected', reason });
+  }
+}
+
+function logPushAuthConfig() {
+  if (AUTH_MODE === 'none') {
+    log.warn('PUBSUB_AUTH_MODE=none, POST /webhook accepts unauthenticated requests (NOT RECOMMENDED)');
+  } else if (AUTH_MODE === 'unconfigured') {
+    log.error('Pub/Sub push authentication is not configured, POST /webhook rejects every request. Set PUBSUB_AUDIENCE and/or PUBSUB_VERIFICATION_TOKEN (or PUBSUB_AUTH_MODE=none to accept unauthenticated pushes)');
+  } else {
+    log.info('Pub/Sub push authentication configured', { mode: AUTH_MODE, service_account: SERVICE_ACCOUNT_EMAIL || null });
+  }
+}
+
+module.exports = {
+  verifyPubSubPush,
+  verifyOidcToken,
+  decodePushEnvelope,
+  getPushAuthStats,
+  logPushAuthConfig,
+  PushAuthError
+};
@@ -1,41 +1,157 @@
-const { PubSub } = require('@google-cloud/pubsub');
 const { handleDeviceEvent } = require('./runtimeTracker');
+const { buildDedupKeys, claimEvent, releaseEvent } = require('./eventDedup');
+const { withDeviceLock } = require('./deviceLock');
+const { createLogger, withCorrelationId, newCorrelationId } = require('./logger');
+const { metrics } = require('./metrics');
+
+const log = createLogger('pubsubListener');
+
+const INGESTION_MODES = ['push', 'pull', 'both'];
+const MAX_MESSAGES = parseInt(process.env.PUBSUB_MAX_MESSAGES || '10', 10);
+const DRAIN_TIMEOUT_MS = parseInt(process.env.PUBSUB_DRAIN_TIMEOUT_MS || '20000', 10);
 
 let subscription;
+let draining = false;
+const inFlight = new Set();
+let lastEventReceivedAt = null;
+
+/**
+ * INGESTION_MODE=push|pull|both (default push).
+ * push: Pub/Sub push to POST /webhook; pull: this listener; both: either path.
+ */
+function getIngestionMode() {
+  const mode = (process.env.INGESTION_MODE || 'push').toLowerCase();
+  if (!INGESTION_MODES.includes(mode)) {
+    log.warn(`Unknown INGESTION_MODE "${mode}", falling back to push`);
+    return 'push';
+  }
+  return mode;
+}
+
+function isPushEnabled() {
+  return getIngestionMode() !== 'pull';
+}
+
+function isPullEnabled() {
+  return getIngestionMode() !== 'push';
+}
+
+/**
+ * Notes a Pub/Sub event reaching this replica (push or pull), for /health/ready
+ */
+function recordEventReceived() {
+  lastEventReceivedAt = new Date();
+}
+
+function getLastEventReceivedAt() {
+  return lastEventReceivedAt;
+}
+
+async function processMessage(message) {
+  let dedupKeys = [];
+  try {
+    recordEventReceived();
+    const data = JSON.parse(message.data.toString());
+    log.debug('Received Pub/Sub message', { message_id: message.id, data });
+
+    const deviceKey = (data.resourceUpdate?.name || '').split('/').pop() || null;
+    dedupKeys = buildDedupKeys({ messageId: message.id, eventId: data.eventId });
+    if (!(await claimEvent(dedupKeys, deviceKey))) {
+      log.info('Duplicate Pub/Sub message skipped', { device_key: deviceKey, dedup_keys: dedupKeys });
+      metrics.duplicateEvents.inc({ source: 'pull' });
+      message.ack();
+      return;
+    }
+
+    const event = {
+      ...data,
+      receivedAt: message.received ? new Date(message.received) : new Date()
+    };
+
+    // Same per-device serialization as the push webhook
+    const handled = deviceKey
+      ? await withDeviceLock(deviceKey, () => handleDeviceEvent(event))
+      : await handleDeviceEvent(event);
+
+    if (!handled) throw new Error('handleDeviceEvent failed');
+
+    // Ack only once the event has been applied
+    message.ack();
+  } catch (error) {
+    log.error('Error processing Pub/Sub message', { message_id: message.id, err: error });
+    // Let the redelivery through dedup
+    await releaseEvent(dedupKeys);
+    message.nack();
+  }
+}
 
 async function startPubSubListener() {
+  // Loaded lazily so push-only deployments don't initialize the Pub/Sub client
+  const { PubSub } = require('@google-cloud/pubsub');
   const pubsub = new PubSub({
     projectId: process.env.GOOGLE_PROJECT_ID
   });
-  
+
   const subscriptionName = process.env.GOOGLE_PUBSUB_SUBSCRIPTION;
-  subscription = pubsub.subscription(subscriptionName);
-  
-  subscription.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message.data.toString());
-      console.log('Received Pub/Sub message:', JSON.stringify(data, null, 2));
-      
-      await handleDeviceEvent(data);
-      message.ack();
-    } catch (error) {
-      console.error('Error processing Pub/Sub message:', error);
+  if (!subscriptionName) {
+    throw new Error('GOOGLE_PUBSUB_SUBSCRIPTION must be set for pull ingestion');
+  }
+
+  draining = false;
+  subscription = pubsub.subscription(subscriptionName, {
+    flowControl: {
+      maxMessages: MAX_MESSAGES,
+      allowExcessMessages: false
+    }
+  });
+
+  subscription.on('message', (message) => {
+    if (draining) {
       message.nack();
+      return;
     }
+
+    const work = withCorrelationId(newCorrelationId(), () => processMessage(message)).finally(() => inFlight.delete(work));
+    inFlight.add(work);
   });
-  
+
   subscription.on('error', (error) => {
-    console.error('Pub/Sub subscription error:', error);
+    log.error('Pub/Sub subscription error', { err: error });
   });
-  
-  console.log(`Listening for messages on ${subscriptionName}`);
+
+  log.info(`Listening for messages on ${subscriptionName}`, { max_in_flight: MAX_MESSAGES });
 }
 
-function stopPubSubListener() {
-  if (subscription) {
-    subscription.removeAllListeners();
-    subscription.close();
+/**
+ * Stops taking new messages, waits for in-flight ones to finish (up to
+ * PUBSUB_DRAIN_TIMEOUT_MS) so their acks go out, then closes the stream.
+ */
+async function stopPubSubListener() {
+  if (!subscription) return;
+
+  draining = true;
+  if (inFlight.size > 0) {
+    log.info('Draining in-flight Pub/Sub messages', { in_flight: inFlight.size });
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(resolve, DRAIN_TIMEOUT_MS);
+    });
+    await Promise.race([Promise.allSettled(Array.from(inFlight)), timeout]);
+    clearTimeout(timer);
   }
+
+  subscription.removeAllListeners('message');
+  await subscription.close();
+  subscription.removeAllListeners();
+  subscription = null;
 }
 
-module.exports = { startPubSubListener, stopPubSubListener };
+module.exports = {
+  startPubSubListener,
+  stopPubSubListener,
+  getIngestionMode,
+  isPushEnabled,
+  isPullEnabled,
+  recordEventReceived,
+  getLastEventReceivedAt
+};
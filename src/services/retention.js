@@ -0,0 +1,292 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+const { LOCK_NAMESPACE, tryWithAdvisoryLock } = require('./coordination');
+const { createLogger } = require('./logger');
+const { metrics } = require('./metrics');
+
+const log = createLogger('retention');
+
+const days = (name, fallback) => parseInt(process.env[name] || String(fallback), 10);
+
+const RETENTION_ENABLED = process.env.RETENTION_ENABLED !== 'false';
+const RUN_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE || '5000', 10);
+const MAX_BATCHES_PER_RUN = parseInt(process.env.RETENTION_MAX_BATCHES_PER_RUN || '200', 10);
+const BATCH_PAUSE_MS = parseInt(process.env.RETENTION_BATCH_PAUSE_MS || '100', 10);
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+// Merges a batch's aggregates into an existing roll-up row
+const MERGE_TEMPERATURES = `
+  min_temperature = LEAST(r.min_temperature, EXCLUDED.min_temperature),
+  max_temperature = GREATEST(r.max_temperature, EXCLUDED.max_temperature),
+  temperature_sum = r.temperature_sum + EXCLUDED.temperature_sum,
+  reading_count = r.reading_count + EXCLUDED.reading_count,
+  avg_temperature = (r.temperature_sum + EXCLUDED.temperature_sum) / (r.reading_count + EXCLUDED.reading_count),
+  updated_at = NOW()`;
+
+/**
+ * Retention policy per table, applied in this order. Rows older than keepDays
+ * (0 = keep forever) are deleted in batches of at most RETENTION_BATCH_SIZE;
+ * a policy with rollsUpInto folds each batch into that table in the same
+ * statement, so a run interrupted between batches loses nothing. Every batch
+ * statement takes ($1 cutoff, $2 batch size) and returns the rows removed.
+ */
+const POLICIES = [
+  {
+    table: 'temp_readings',
+    timeColumn: 'recorded_at',
+    keepDays: days('RETENTION_TEMP_READINGS_DAYS', 90),
+    rollsUpInto: 'temp_readings_hourly',
+    batchSql: `
+      WITH expired AS (
+        DELETE FROM temp_readings
+        WHERE id IN (SELECT id FROM temp_readings WHERE recorded_at < $1 LIMIT $2)
+        RETURNING device_key, recorded_at, temperature
+      ), rolled AS (
+        INSERT INTO temp_readings_hourly AS r
+          (device_key, bucket_start, min_temperature, avg_temperature, max_temperature, temperature_sum, reading_count)
+        SELECT device_key, date_trunc('hour', recorded_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC',
+               MIN(temperature), AVG(temperature), MAX(temperature), SUM(temperature), COUNT(*)
+        FROM expired
+        GROUP BY 1, 2
+        ON CONFLICT (device_key, bucket_start) DO UPDATE SET ${MERGE_TEMPERATURES}
+      )
+      SELECT COUNT(*)::INT AS removed FROM expired`
+  },
+  {
+    table: 'temp_readings_hourly',
+    timeColumn: 'bucket_start',
+    keepDays: days('RETENTION_TEMP_HOURLY_DAYS', 730),
+    rollsUpInto: 'temp_readings_daily',
+    batchSql: `
+      WITH expired AS (
+        DELETE FROM temp_readings_hourly
+        WHERE (device_key, bucket_start) IN (
+          SELECT device_key, bucket_start FROM temp_readings_hourly WHERE bucket_start < $1 LIMIT $2
+        )
+        RETURNING device_key, bucket_start, min_temperature, max_temperature, temperature_sum, reading_count
+      ), rolled AS (
+        INSERT INTO temp_readings_daily AS r
+          (device_key, day, min_temperature, avg_temperature, max_temperature, temperature_sum, reading_count)
+        SELECT device_key, (bucket_start AT TIME ZONE 'UTC')::DATE,
+               MIN(min_temperature), SUM(temperature_sum) / SUM(reading_count), MAX(max_temperature),
+               SUM(temperature_sum), SUM(reading_count)
+        FROM expired
+        GROUP BY 1, 2
+        ON CONFLICT (device_key, day) DO UPDATE SET ${MERGE_TEMPERATURES}
+      )
+      SELECT COUNT(*)::INT AS removed FROM expired`
+  },
+  {
+    table: 'temp_readings_daily',
+    timeColumn: 'day',
+    keepDays: days('RETENTION_TEMP_DAILY_DAYS', 0),
+    batchSql: `
+      WITH expired AS (
+        DELETE FROM temp_readings_daily
+        WHERE (device_key, day) IN (
+          SELECT device_key, day FROM temp_readings_daily WHERE day < ($1::TIMESTAMPTZ AT TIME ZONE 'UTC')::DATE LIMIT $2
+        )
+        RETURNING 1
+      )
+      SELECT COUNT(*)::INT AS removed FROM expired`
+  },
+  {
+    table: 'equipment_events',
+    timeColumn: 'recorded_at',
+    keepDays: days('RETENTION_EQUIPMENT_EVENTS_DAYS', 180),
+    rollsUpInto: 'equipment_events_daily',
+    batchSql: `
+      WITH expired AS (
+        DELETE FROM equipment_events
+        WHERE id IN (SELECT id FROM equipment_events WHERE recorded_at < $1 LIMIT $2)
+        RETURNING device_key, recorded_at, event_type
+      ), rolled AS (
+        INSERT INTO equipment_events_daily AS r (device_key, day, event_type, event_count)
+        SELECT device_key, (recorded_at AT TIME ZONE 'UTC')::DATE, event_type, COUNT(*)
+        FROM expired
+        GROUP BY 1, 2, 3
+        ON CONFLICT (device_key, day, event_type) DO UPDATE SET
+          event_count = r.event_count + EXCLUDED.event_count,
+          updated_at = NOW()
+      )
+      SELECT COUNT(*)::INT AS removed FROM expired`
+  },
+  {
+    table: 'equipment_events_daily',
+    timeColumn: 'day',
+    keepDays: days('RETENTION_EQUIPMENT_DAILY_DAYS', 0),
+    batchSql: `
+      WITH expired AS (
+        DELETE FROM equipment_events_daily
+        WHERE (device_key, day, event_type) IN (
+          SELECT device_key, day, event_type FROM equipment_events_daily
+          WHERE day < ($1::TIMESTAMPTZ AT TIME ZONE 'UTC')::DATE LIMIT $2
+        )
+        RETURNING 1
+      )
+      SELECT COUNT(*)::INT AS removed FROM expired`
+  }
+];
+
+let firstRunTimer = null;
+let runInterval = null;
+let running = null;
+let stopping = false;
+let lastRun = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Deletes (and rolls up) one table's expired rows, up to MAX_BATCHES_PER_RUN
+ * batches; anything left is picked up by the next run
+ */
+async function applyPolicy(policy) {
+  const summary = { table: policy.table, keep_days: policy.keepDays || null, rolls_up_into: policy.rollsUpInto || null };
+  if (!(policy.keepDays > 0)) return { ...summary, removed: 0, batches: 0, complete: true };
+
+  const pool = getPool();
+  const cutoff = new Date(Date.now() - policy.keepDays * 24 * 60 * 60 * 1000);
+  let removed = 0;
+  let batches = 0;
+  let complete = false;
+
+  while (!stopping && batches < MAX_BATCHES_PER_RUN) {
+    const result = await pool.query(policy.batchSql, [cutoff, BATCH_SIZE]);
+    const batchRemoved = result.rows[0].removed;
+    removed += batchRemoved;
+    batches++;
+    if (batchRemoved > 0) metrics.retentionRows.inc({ table: policy.table }, batchRemoved);
+    if (batchRemoved < BATCH_SIZE) {
+      complete = true;
+      break;
+    }
+    await sleep(BATCH_PAUSE_MS);
+  }
+
+  return { ...summary, cutoff, removed, batches, complete };
+}
+
+async function applyPolicies() {
+  const run = { started_at: new Date(), finished_at: null, tables: [], error: null };
+  try {
+    for (const policy of POLICIES) {
+      if (stopping) break;
+      const result = await applyPolicy(policy);
+      run.tables.push(result);
+      if (result.removed > 0) {
+        log.info('Applied retention policy', result);
+      }
+    }
+  } catch (err) {
+    run.error = err.message;
+    log.error('Retention run failed', { err });
+  }
+  run.finished_at = new Date();
+  lastRun = run;
+}
+
+/**
+ * Runs every policy once unless a run is already in progress here. Only one
+ * replica runs at a time; the others skip (and report skipped).
+ */
+function runRetention() {
+  if (running) return running;
+
+  running = tryWithAdvisoryLock(LOCK_NAMESPACE.job, 'retention', applyPolicies)
+    .then((ran) => {
+      if (!ran) log.debug('Retention run skipped, another replica is running it');
+      return { skipped: !ran, run: lastRun };
+    })
+    .catch((err) => {
+      log.error('Retention run failed', { err });
+      return { skipped: false, run: lastRun, error: err.message };
+    })
+    .finally(() => {
+      running = null;
+    });
+  return running;
+}
+
+function isRetentionRunning() {
+  return Boolean(running);
+}
+
+/**
+ * Size, estimated row count and oldest row of each table under a policy,
+ * with the policies and the last run on this replica
+ */
+async function getRetentionStatus() {
+  const pool = getPool();
+  const tables = POLICIES.map((policy) => policy.table);
+
+  const sizes = await pool.query(
+    `SELECT c.relname AS table,
+            GREATEST(c.reltuples, 0)::BIGINT AS estimated_rows,
+            pg_total_relation_size(c.oid) AS total_bytes,
+            pg_size_pretty(pg_total_relation_size(c.oid)) AS total_size
+     FROM pg_class c
+     WHERE c.oid IN (SELECT to_regclass(t) FROM UNNEST($1::TEXT[]) AS t)`,
+    [tables]
+  );
+  const sizeByTable = new Map(sizes.rows.map((row) => [row.table, row]));
+
+  const result = [];
+  for (const policy of POLICIES) {
+    const size = sizeByTable.get(policy.table);
+    const oldest = size
+      ? (await pool.query(`SELECT MIN(${policy.timeColumn}) AS oldest FROM ${policy.table}`)).rows[0].oldest
+      : null;
+
+    result.push({
+      table: policy.table,
+      keep_days: policy.keepDays || null,
+      rolls_up_into: policy.rollsUpInto || null,
+      estimated_rows: size ? Number(size.estimated_rows) : null,
+      total_bytes: size ? Number(size.total_bytes) : null,
+      total_size: size?.total_size || null,
+      oldest
+    });
+  }
+
+  return {
+    enabled: RETENTION_ENABLED,
+    interval_ms: RUN_INTERVAL_MS,
+    batch_size: BATCH_SIZE,
+    max_batches_per_run: MAX_BATCHES_PER_RUN,
+    running: isRetentionRunning(),
+    last_run: lastRun,
+    tables: result
+  };
+}
+
+/**
+ * Runs retention a minute after startup, then every RETENTION_INTERVAL_MS
+ * (no-op with RETENTION_ENABLED=false; on-demand runs still work)
+ */
+function startRetentionJob() {
+  if (!RETENTION_ENABLED || runInterval) return;
+  stopping = false;
+  log.info('Starting retention job', {
+    interval_ms: RUN_INTERVAL_MS,
+    policies: POLICIES.map((policy) => ({ table: policy.table, keep_days: policy.keepDays || null }))
+  });
+
+  firstRunTimer = setTimeout(runRetention, FIRST_RUN_DELAY_MS);
+  runInterval = setInterval(runRetention, RUN_INTERVAL_MS);
+}
+
+/**
+ * Stops the schedule and waits for a run in progress to finish its current batch
+ */
+async function stopRetentionJob() {
+  stopping = true;
+  clearTimeout(firstRunTimer);
+  clearInterval(runInterval);
+  firstRunTimer = null;
+  runInterval = null;
+  if (running) await running;
+}
+
+module.exports = { runRetention, isRetentionRunning, getRetentionStatus, startRetentionJob, stopRetentionJob };
@@ -3,9 +3,19 @@
 const { v4: uuidv4 } = require('uuid');
 const { getPool } = require('../database/db');
 const { postToCoreIngestAsync } = require('./ingestPoster');
+const { withOutboxTransaction } = require('./ingestOutbox');
 const { buildCorePayload } = require('./buildCorePayload');
+const { updateFilterUsage } = require('./filterTracker');
+const { estimateSessionEnd } = require('./sessionReconciliation');
+const { withDeviceLock } = require('./deviceLock');
+const { createLogger, withCorrelationId, newCorrelationId } = require('./logger');
+const { metrics } = require('./metrics');
 
-const deviceMemory = new Map();
+const log = createLogger('runtimeTracker');
+
+const LAST_FAN_TAIL_SECONDS = parseInt(process.env.LAST_FAN_TAIL_SECONDS || '0', 10);
+
+const fanTailTimers = new Map();
 
 function mapNestModeToStandard(nestMode) {
   const modeMap = { 'HEAT': 'heat', 'COOL': 'cool', 'HEATCOOL': 'auto', 'OFF': 'off' };
@@ -50,44 +60,166 @@ function classifyCurrentState(mem) {
   return { stateLabel, equipmentStatus: finalEquipmentStatus, isActive };
 }
 
-async function recoverActiveSessions() {
+function stateLabelFromEquipmentStatus(equipmentStatus) {
+  switch (equipmentStatus) {
+    case 'HEATING': return 'Heating';
+    case 'HEATING_FAN': return 'Heating_Fan';
+    case 'COOLING': return 'Cooling';
+    case 'COOLING_FAN': return 'Cooling_Fan';
+    case 'AUX_HEATING': return 'AuxHeat';
+    case 'AUX_HEATING_FAN': return 'AuxHeat_Fan';
+    case 'FAN': return 'Fan_only';
+    default: return 'Fan_off';
+  }
+}
+
+/**
+ * The blower keeps running for a short time after a heat/cool cycle ends.
+ * Fan-only sessions stop the blower immediately, so they get no tail.
+ */
+function hasFanTail(stateLabel) {
+  return LAST_FAN_TAIL_SECONDS > 0 && /^(Heating|Cooling|AuxHeat)/.test(stateLabel || '');
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+const DEVICE_STATE_QUERY = 'SELECT ds.*, rs.session_id FROM device_status ds LEFT JOIN runtime_sessions rs ON ds.device_key = rs.device_key AND rs.ended_at IS NULL';
+
+/**
+ * Rebuilds a device's in-memory state from its device_status row (plus the open
+ * session, if any), so events after a restart are compared against the same
+ * state they would have been before it. Rows written before hvac_status was
+ * persisted fall back to deriving it from current_equipment_status; rows
+ * without last_mode leave thermostatMode null until the next mode trait.
+ */
+function deviceMemoryFromRow(row) {
+  const legacy = !row.hvac_status;
+  const running = row.is_running === true && !!row.session_started_at;
+  const temperatureF = toNumber(row.last_temperature);
+  const mem = {
+    deviceKey: row.device_key, frontendId: row.frontend_id, deviceName: row.device_name,
+    equipmentStatus: legacy ? (row.current_equipment_status === 'FAN' ? 'IDLE' : (row.current_equipment_status || 'IDLE').replace(/_FAN$/, '')) : row.hvac_status,
+    isFanTimerOn: legacy ? (row.current_equipment_status === 'FAN' || !!row.current_equipment_status?.includes('_FAN')) : row.last_fan_status === 'ON',
+    thermostatMode: row.last_mode || null, thermostatModeMapped: row.last_mode ? mapNestModeToStandard(row.last_mode) : undefined,
+    running, sessionId: running ? (row.session_id || uuidv4()) : null, sessionStartedAt: running ? new Date(row.session_started_at) : null,
+    currentStateLabel: running ? stateLabelFromEquipmentStatus(row.current_equipment_status) : 'Fan_off',
+    currentEquipmentStatus: running ? row.current_equipment_status : 'IDLE',
+    lastTemperatureF: temperatureF, lastTemperatureC: temperatureF !== null ? (temperatureF - 32) * 5 / 9 : null,
+    lastHumidity: toNumber(row.last_humidity), lastHeatSetpoint: toNumber(row.last_heat_setpoint), lastCoolSetpoint: toNumber(row.last_cool_setpoint),
+    lastEventTime: row.last_event_timestamp ? new Date(row.last_event_timestamp).getTime() : null,
+    isReachable: row.is_reachable !== false, lastTelemetryPost: row.last_post_at ? new Date(row.last_post_at).getTime() : 0,
+    firmwareVersion: row.firmware_version || null, serialNumber: row.serial_number || null,
+    customName: row.custom_name || null, parentResource: row.parent_resource || null, roomName: row.room_display_name || null, temperatureScale: row.temperature_scale || null,
+    ecoMode: row.eco_mode || 'OFF', ecoHeatCelsius: toNumber(row.eco_heat_celsius), ecoCoolCelsius: toNumber(row.eco_cool_celsius), previousEcoMode: row.eco_mode || null
+  };
+
+  // The HVAC cycle already ended and the session is only waiting out its fan tail
+  if (running && row.last_fan_tail_until && row.session_id) {
+    const fanTailUntil = new Date(row.last_fan_tail_until);
+    if (legacy) {
+      mem.equipmentStatus = 'IDLE';
+      mem.isFanTimerOn = false;
+    }
+    mem.currentStateLabel = 'Fan_off';
+    mem.currentEquipmentStatus = 'IDLE';
+    mem.fanTailUntil = fanTailUntil;
+    mem.fanTailStartedAt = new Date(fanTailUntil.getTime() - LAST_FAN_TAIL_SECONDS * 1000);
+    mem.fanTailStateLabel = stateLabelFromEquipmentStatus(row.current_equipment_status);
+    mem.fanTailEquipmentStatus = row.current_equipment_status;
+  }
+
+  return mem;
+}
+
+/**
+ * Recovers each device marked running on boot under its device lock (another
+ * replica may be handling it): open sessions resume, fan tails that expired
+ * during downtime are closed, and sessions too old to still be running are
+ * reconciled. Other devices need nothing, since events reload state anyway.
+ */
+async function restoreDeviceMemory() {
   const pool = getPool();
   try {
-    const result = await pool.query('SELECT ds.device_key, ds.frontend_id, ds.device_name, ds.is_running, ds.session_started_at, ds.current_mode, ds.current_equipment_status, ds.last_temperature, ds.last_heat_setpoint, ds.last_cool_setpoint, ds.last_humidity, ds.is_reachable, rs.session_id FROM device_status ds LEFT JOIN runtime_sessions rs ON ds.device_key = rs.device_key AND rs.ended_at IS NULL WHERE ds.is_running = TRUE');
+    const result = await pool.query('SELECT device_key FROM device_status WHERE is_running = TRUE');
     const now = new Date();
-    const nowMs = now.getTime();
-    const MAX_SESSION_AGE_HOURS = 4;
+    let activeCount = 0;
 
     for (const row of result.rows) {
-      const sessionAgeHrs = (now - new Date(row.session_started_at)) / 3600000;
-      if (sessionAgeHrs > MAX_SESSION_AGE_HOURS) {
-        console.log('[runtimeTracker] Skipping stale session for ' + row.device_key);
-        await pool.query('UPDATE device_status SET is_running = FALSE, session_started_at = NULL WHERE device_key = $1', [row.device_key]);
-        if (row.session_id) await pool.query('UPDATE runtime_sessions SET ended_at = NOW(), duration_seconds = 0 WHERE session_id = $1', [row.session_id]);
-        continue;
+      try {
+        const recover = () => withDeviceLock(row.device_key, () => recoverDevice(row.device_key, now));
+        if (await withCorrelationId(newCorrelationId(), recover)) activeCount++;
+      } catch (error) {
+        log.error('Error recovering device', { device_key: row.device_key, err: error });
       }
-
-      deviceMemory.set(row.device_key, {
-        deviceKey: row.device_key, frontendId: row.frontend_id, deviceName: row.device_name,
-        equipmentStatus: row.current_equipment_status,
-        isFanTimerOn: row.current_equipment_status === 'FAN' || row.current_equipment_status?.includes('_FAN'),
-        thermostatMode: row.current_mode?.toUpperCase() || 'OFF', running: true,
-        sessionId: row.session_id || uuidv4(), sessionStartedAt: new Date(row.session_started_at),
-        currentStateLabel: row.current_equipment_status === 'HEATING' ? 'Heating' : row.current_equipment_status === 'COOLING' ? 'Cooling' : row.current_equipment_status === 'FAN' ? 'Fan_only' : 'Fan_off',
-        currentEquipmentStatus: row.current_equipment_status,
-        lastTemperatureF: row.last_temperature, lastTemperatureC: row.last_temperature ? (row.last_temperature - 32) * 5 / 9 : null,
-        lastHumidity: row.last_humidity, lastHeatSetpoint: row.last_heat_setpoint, lastCoolSetpoint: row.last_cool_setpoint,
-        lastEventTime: nowMs, isReachable: row.is_reachable !== false, lastTelemetryPost: nowMs,
-        firmwareVersion: null, serialNumber: null,
-        customName: null, parentResource: null, roomName: null, temperatureScale: null,
-        ecoMode: 'OFF', ecoHeatCelsius: null, ecoCoolCelsius: null, previousEcoMode: null
-      });
-      console.log('[runtimeTracker] Recovered active session for ' + row.device_key);
-    }
-    console.log('[runtimeTracker] Recovery complete — ' + deviceMemory.size + ' active session(s).');
+    }
+    log.info('Restore complete', { running_devices: result.rows.length, active_sessions: activeCount });
   } catch (error) {
-    console.error('[runtimeTracker] Error recovering active sessions:', error);
+    log.error('Error restoring device state', { err: error });
+  }
+}
+
+/**
+ * Brings one running device's session back in line after a restart. Must run
+ * under the device lock. Resolves true if the session is still active.
+ */
+async function recoverDevice(deviceKey, now) {
+  const pool = getPool();
+  const MAX_SESSION_AGE_HOURS = 4;
+  const mem = await loadDeviceMemory(deviceKey);
+  if (!mem) return false;
+
+  if (!mem.running) {
+    log.info('Clearing running flag without a session start', { device_key: deviceKey });
+    await pool.query('UPDATE device_status SET is_running = FALSE, session_started_at = NULL WHERE device_key = $1 AND is_running = TRUE', [deviceKey]);
+    return false;
+  }
+
+  if (mem.fanTailUntil) {
+    if (mem.fanTailUntil.getTime() <= now.getTime()) {
+      log.info('Fan tail expired during downtime, closing session', { device_key: deviceKey });
+      await finishFanTail({ deviceKey, userId: mem.frontendId, deviceName: mem.deviceName, mem, endedAt: mem.fanTailUntil });
+      return false;
+    }
+    scheduleFanTailEnd(deviceKey, mem.fanTailUntil);
+    log.info('Recovered fan tail', { device_key: deviceKey, fan_tail_until: mem.fanTailUntil });
+    return true;
+  }
+
+  const sessionAgeHrs = (now - mem.sessionStartedAt) / 3600000;
+  if (sessionAgeHrs > MAX_SESSION_AGE_HOURS) {
+    const openSession = await pool.query('SELECT 1 FROM runtime_sessions WHERE session_id = $1 AND ended_at IS NULL', [mem.sessionId]);
+    if (openSession.rows.length === 0) {
+      log.info('Clearing stale running flag without a session', { device_key: deviceKey });
+      await pool.query('UPDATE device_status SET is_running = FALSE, session_started_at = NULL WHERE device_key = $1', [deviceKey]);
+      return false;
+    }
+
+    // Too old to still be running: the end was missed while we were down, so estimate it
+    log.info('Stale session, estimating its end', { device_key: deviceKey, session_age_hours: Number(sessionAgeHrs.toFixed(1)) });
+    await reconcileSessionEnd({ deviceKey, userId: mem.frontendId, deviceName: mem.deviceName, mem, previousStatus: mem.currentStateLabel, observedIdleAt: now, receivedAt: now, reason: 'stale_recovery' });
+    mem.currentStateLabel = 'Fan_off';
+    mem.currentEquipmentStatus = 'IDLE';
+    return false;
   }
+
+  log.info('Recovered active session', { device_key: deviceKey, session_id: mem.sessionId });
+  return true;
+}
+
+/**
+ * Reads a device's current state from the database. Event handling reloads it
+ * under the device lock every time, since another replica may have applied
+ * events since this one last saw the device. Returns null when there is no row.
+ */
+async function loadDeviceMemory(deviceKey) {
+  const pool = getPool();
+  const result = await pool.query(DEVICE_STATE_QUERY + ' WHERE ds.device_key = $1', [deviceKey]);
+  if (result.rows.length === 0) return null;
+  return deviceMemoryFromRow(result.rows[0]);
 }
 
 function extractDeviceKey(deviceName) {
@@ -115,7 +247,76 @@ async function ensureDeviceExists(deviceKey, userId, deviceName) {
       [deviceKey, userId, deviceName]
     );
   } catch (error) {
-    console.error('[runtimeTracker] Error ensuring device exists:', error);
+    log.error('Error ensuring device exists', { device_key: deviceKey, err: error });
+  }
+}
+
+/**
+ * Records the event's observed time as the device's last applied state, unless a
+ * newer event was already applied. Returns false for out-of-order events.
+ */
+async function claimEventTimestamp(deviceKey, eventTimestamp, receivedAt) {
+  const pool = getPool();
+  try {
+    const result = await pool.query(
+      'UPDATE device_status SET last_event_timestamp = $2, last_event_received_at = $3 WHERE device_key = $1 AND (last_event_timestamp IS NULL OR last_event_timestamp <= $2) RETURNING device_key',
+      [deviceKey, eventTimestamp, receivedAt]
+    );
+    return result.rows.length > 0;
+  } catch (error) {
+    log.error('Error checking event order', { device_key: deviceKey, err: error });
+    return true;
+  }
+}
+
+/**
+ * Fan_only sessions that begin while a fan-scheduler run is active are tagged
+ * 'scheduled', anything else 'user'. Other modes are not tagged.
+ */
+async function resolveTriggerSource(deviceKey, mode, observedAt) {
+  if (mode !== 'fan_only') return null;
+  const pool = getPool();
+  try {
+    const result = await pool.query('SELECT 1 FROM fan_schedules WHERE device_key = $1 AND active_until > $2', [deviceKey, observedAt]);
+    return result.rows.length > 0 ? 'scheduled' : 'user';
+  } catch (error) {
+    log.error('Error resolving fan trigger', { device_key: deviceKey, err: error });
+    return null;
+  }
+}
+
+/**
+ * A fan timer turning off ends any scheduled run, so a later manual run in the
+ * same window is not mistaken for a scheduled one.
+ */
+async function clearScheduledFanRun(deviceKey) {
+  const pool = getPool();
+  try {
+    await pool.query('UPDATE fan_schedules SET active_until = NULL WHERE device_key = $1 AND active_until IS NOT NULL', [deviceKey]);
+  } catch (error) {
+    log.error('Error clearing scheduled fan run', { device_key: deviceKey, err: error });
+  }
+}
+
+/**
+ * Persists the raw SDM state that events are compared against after a reload (HVAC
+ * status, fan timer, thermostat mode, setpoints) so it survives restarts
+ */
+async function persistDeviceState(deviceKey, mem) {
+  const pool = getPool();
+  try {
+    await pool.query('UPDATE device_status SET hvac_status = $2, last_fan_status = $3, last_mode = $4, last_heat_setpoint = COALESCE($5, last_heat_setpoint), last_cool_setpoint = COALESCE($6, last_cool_setpoint), updated_at = NOW() WHERE device_key = $1', [deviceKey, mem.equipmentStatus, mem.isFanTimerOn ? 'ON' : 'OFF', mem.thermostatMode, mem.lastHeatSetpoint, mem.lastCoolSetpoint]);
+  } catch (error) {
+    log.error('Error persisting device state', { device_key: deviceKey, err: error });
+  }
+}
+
+async function persistTelemetryPostTime(deviceKey, postedAt) {
+  const pool = getPool();
+  try {
+    await pool.query('UPDATE device_status SET last_post_at = $2 WHERE device_key = $1', [deviceKey, postedAt]);
+  } catch (error) {
+    log.error('Error persisting telemetry post time', { device_key: deviceKey, err: error });
   }
 }
 
@@ -124,11 +325,15 @@ async function updateDeviceReachability(deviceKey, isReachable) {
   try {
     await pool.query('UPDATE device_status SET is_reachable = $2, last_seen_at = NOW(), updated_at = NOW() WHERE device_key = $1', [deviceKey, isReachable]);
   } catch (error) {
-    console.error('[runtimeTracker] Error updating device reachability:', error);
+    log.error('Error updating device reachability', { device_key: deviceKey, err: error });
   }
 }
 
-async function postCoreEvent({ deviceKey, userId, deviceName, firmwareVersion, serialNumber, eventType, equipmentStatus, previousStatus, isActive, isReachable, runtimeSeconds, temperatureF, humidity, heatSetpoint, coolSetpoint, thermostatMode, observedAt, sourceEventId, eventData, customName, roomName }) {
+/**
+ * Queues an event for Core Ingest. Session transitions pass the client of the
+ * transaction that records them, so a crash can't keep one without the other.
+ */
+async function postCoreEvent({ deviceKey, userId, deviceName, firmwareVersion, serialNumber, eventType, equipmentStatus, previousStatus, isActive, isReachable, runtimeSeconds, temperatureF, humidity, heatSetpoint, coolSetpoint, thermostatMode, observedAt, sourceEventId, eventData, customName, roomName, extraFields }, client = null) {
   let runtimeType = 'UPDATE';
   if (runtimeSeconds === undefined) runtimeType = 'START';
   else if (typeof runtimeSeconds === 'number' && runtimeSeconds > 0) runtimeType = 'END';
@@ -139,36 +344,73 @@ async function postCoreEvent({ deviceKey, userId, deviceName, firmwareVersion, s
   // Log which name is being used (verbose logging)
   if (displayName !== deviceName) {
     const source = customName ? 'custom' : 'room';
-    console.log(`[CORE POST] Using ${source} name: "${displayName}" (instead of device path)`);
+    log.debug('Using display name instead of device path', { device_key: deviceKey, name_source: source, display_name: displayName });
   }
 
   const payload = buildCorePayload({ deviceKey, userId, deviceName: displayName, manufacturer: 'Google Nest', model: 'Nest Thermostat', serialNumber, firmwareVersion, connectionSource: 'nest', source: 'nest', sourceVendor: 'nest', eventType, equipmentStatus, previousStatus: previousStatus || 'UNKNOWN', isActive: !!isActive, isReachable: isReachable !== undefined ? !!isReachable : true, mode: thermostatMode || equipmentStatus.toLowerCase(), thermostatMode, runtimeSeconds: typeof runtimeSeconds === 'number' ? runtimeSeconds : null, runtimeType, temperatureF, humidity, heatSetpoint, coolSetpoint, observedAt: observedAt || new Date(), sourceEventId: sourceEventId || uuidv4(), payloadRaw: eventData });
 
-  const rtDisplay = runtimeSeconds === undefined ? 'START' : runtimeSeconds === null ? 'UPDATE' : runtimeSeconds + 's';
-  console.log('[CORE POST] ' + deviceKey + ' -> ' + eventType + ' (' + runtimeType + ') runtime=' + rtDisplay + ' eq=' + equipmentStatus + ' prev=' + previousStatus + ' reachable=' + isReachable);
-  await postToCoreIngestAsync(payload, runtimeType.toLowerCase());
+  log.info('Core event', { device_key: deviceKey, event_type: eventType, runtime_type: runtimeType, runtime_seconds: runtimeSeconds ?? null, equipment_status: equipmentStatus, previous_status: previousStatus, is_reachable: isReachable });
+  await postToCoreIngestAsync(extraFields ? { ...payload, ...extraFields } : payload, runtimeType.toLowerCase(), client);
+}
+
+/**
+ * Resolves when the event actually happened. SDM events carry their own
+ * timestamp; delivery latency, lock waits and retries must not stretch
+ * runtime, so session math uses this observed time. Falls back to receipt
+ * time when the timestamp is missing, invalid or ahead of our clock.
+ */
+function resolveObservedAt(eventData, receivedAt) {
+  const timestamp = eventData.timestamp ? new Date(eventData.timestamp) : null;
+  if (!timestamp || isNaN(timestamp.getTime())) return receivedAt;
+  return timestamp.getTime() > receivedAt.getTime() ? receivedAt : timestamp;
 }
 
+/**
+ * Applies one SDM event to device state and runtime sessions. Callers must
+ * hold the device's lock (withDeviceLock). Resolves true once the event is
+ * handled (including events deliberately skipped), false if processing failed
+ * so pull-mode callers can nack.
+ */
 async function handleDeviceEvent(eventData) {
+  const endTimer = metrics.deviceEventDuration.startTimer({ source: eventData.source === 'poll' ? 'poll' : 'pubsub' });
+  const handled = await applyDeviceEvent(eventData);
+  endTimer({ outcome: handled ? 'handled' : 'failed' });
+  return handled;
+}
+
+async function applyDeviceEvent(eventData) {
   try {
-    const now = new Date();
+    const receivedAt = eventData.receivedAt ? new Date(eventData.receivedAt) : new Date();
+    const now = resolveObservedAt(eventData, receivedAt);
     const nowMs = now.getTime();
     const deviceName = eventData.resourceUpdate?.name || eventData.eventId;
     const deviceKey = extractDeviceKey(deviceName);
     const userId = eventData.userId;
 
     if (!deviceKey) {
-      console.error('[runtimeTracker] Could not extract device key from event');
-      return;
+      log.error('Could not extract device key from event', { event_id: eventData.eventId });
+      return true;
     }
 
     await ensureDeviceExists(deviceKey, userId, deviceName);
 
-    let mem = deviceMemory.get(deviceKey);
+    // Another replica may have applied events since; callers hold the device lock.
+    // Loaded before the timestamp claim so lastEventTime is still the previous event's.
+    let mem = await loadDeviceMemory(deviceKey);
     if (!mem) {
-      console.log('[runtimeTracker] Initializing new device memory for ' + deviceKey);
+      log.info('Initializing new device memory', { device_key: deviceKey });
       mem = { deviceKey, frontendId: userId, deviceName, equipmentStatus: 'IDLE', isFanTimerOn: false, thermostatMode: 'OFF', running: false, sessionId: null, sessionStartedAt: null, currentStateLabel: 'Fan_off', currentEquipmentStatus: 'IDLE', lastTemperatureF: null, lastTemperatureC: null, lastHumidity: null, lastHeatSetpoint: null, lastCoolSetpoint: null, lastEventTime: nowMs, isReachable: true, firmwareVersion: null, serialNumber: null, lastTelemetryPost: 0, customName: null, parentResource: null, roomName: null, temperatureScale: null, ecoMode: 'OFF', ecoHeatCelsius: null, ecoCoolCelsius: null, previousEcoMode: null };
-      deviceMemory.set(deviceKey, mem);
+    }
+
+    // Drop late deliveries that are older than the state we already applied
+    if (!(await claimEventTimestamp(deviceKey, now, receivedAt))) {
+      log.info('Dropping out-of-order event', { device_key: deviceKey, observed_at: now });
+      return true;
+    }
+
+    const deliveryLagMs = receivedAt.getTime() - nowMs;
+    if (deliveryLagMs > 60000) {
+      log.warn('Late event', { device_key: deviceKey, observed_at: now, delivery_lag_seconds: Math.round(deliveryLagMs / 1000) });
     }
 
     const traits = eventData.resourceUpdate?.traits || {};
@@ -190,7 +432,7 @@ async function handleDeviceEvent(eventData) {
 
     // Extract device metadata from Info trait
     if (tInfo.customName && mem.customName !== tInfo.customName) {
-      console.log(`[METADATA] ${deviceKey} custom name updated: "${mem.customName || 'none'}" -> "${tInfo.customName}"`);
+      log.info('Custom name updated', { device_key: deviceKey, from: mem.customName || null, to: tInfo.customName });
       mem.customName = tInfo.customName;
       metadataUpdates.customName = tInfo.customName;
       metadataChanged = true;
@@ -202,14 +444,14 @@ async function handleDeviceEvent(eventData) {
     const serialNumber = tInfo.serialNumber || tInfo.serial || null;
 
     if (firmwareVersion && mem.firmwareVersion !== firmwareVersion) {
-      console.log(`[METADATA] ${deviceKey} firmware version: ${firmwareVersion}`);
+      log.debug('Firmware version', { device_key: deviceKey, firmware_version: firmwareVersion });
       mem.firmwareVersion = firmwareVersion;
       metadataUpdates.firmwareVersion = firmwareVersion;
       metadataChanged = true;
     }
 
     if (serialNumber && mem.serialNumber !== serialNumber) {
-      console.log(`[METADATA] ${deviceKey} serial number: ${serialNumber}`);
+      log.debug('Serial number', { device_key: deviceKey, serial_number: serialNumber });
       mem.serialNumber = serialNumber;
       metadataUpdates.serialNumber = serialNumber;
       metadataChanged = true;
@@ -219,22 +461,22 @@ async function handleDeviceEvent(eventData) {
     if (parentRelations.length > 0) {
       const parent = parentRelations[0];
       if (parent.parent && mem.parentResource !== parent.parent) {
-        console.log(`[METADATA] ${deviceKey} parent resource: ${parent.parent}`);
+        log.debug('Parent resource', { device_key: deviceKey, parent_resource: parent.parent });
         mem.parentResource = parent.parent;
         metadataUpdates.parentResource = parent.parent;
         metadataChanged = true;
       }
       if (parent.displayName && mem.roomName !== parent.displayName) {
-        console.log(`[METADATA] ${deviceKey} room name updated: "${mem.roomName || 'none'}" -> "${parent.displayName}"`);
+        log.info('Room name updated', { device_key: deviceKey, from: mem.roomName || null, to: parent.displayName });
         mem.roomName = parent.displayName;
         metadataUpdates.roomName = parent.displayName;
         metadataChanged = true;
       } else if (parent.displayName) {
         // Room name exists but hasn't changed - log for debugging
-        console.log(`[METADATA] ${deviceKey} room name unchanged: "${parent.displayName}" (already in memory)`);
+        log.debug('Room name unchanged', { device_key: deviceKey, room_name: parent.displayName });
       }
     } else {
-      console.log(`[METADATA] ${deviceKey} no parentRelations found in event data`);
+      log.debug('No parentRelations in event data', { device_key: deviceKey });
     }
 
     // Extract temperature display preference
@@ -251,7 +493,7 @@ async function handleDeviceEvent(eventData) {
         mem.ecoMode = ecoMode;
         metadataUpdates.ecoMode = ecoMode;
         metadataChanged = true;
-        console.log('[ECO MODE] ' + deviceKey + ' eco mode: ' + (mem.previousEcoMode || 'UNKNOWN') + ' -> ' + ecoMode);
+        log.info('Eco mode changed', { device_key: deviceKey, from: mem.previousEcoMode || null, to: ecoMode });
         mem.previousEcoMode = ecoMode;
       }
       if (tEco.heatCelsius !== undefined && mem.ecoHeatCelsius !== tEco.heatCelsius) {
@@ -268,7 +510,7 @@ async function handleDeviceEvent(eventData) {
 
     // Persist metadata to database if anything changed
     if (metadataChanged) {
-      console.log(`[METADATA] ${deviceKey} saving ${Object.keys(metadataUpdates).length} metadata field(s) to database`);
+      log.debug('Saving metadata', { device_key: deviceKey, fields: Object.keys(metadataUpdates) });
       await updateDeviceMetadata(deviceKey, metadataUpdates);
     }
 
@@ -276,7 +518,7 @@ async function handleDeviceEvent(eventData) {
     if (tConnectivity) {
       isReachable = tConnectivity.status === 'ONLINE';
       if (mem.isReachable !== isReachable) {
-        console.log('[REACHABILITY] ' + deviceKey + ' changed: ' + mem.isReachable + ' -> ' + isReachable);
+        log.info('Reachability changed', { device_key: deviceKey, from: mem.isReachable, to: isReachable });
         mem.isReachable = isReachable;
         await updateDeviceReachability(deviceKey, isReachable);
       }
@@ -287,12 +529,12 @@ async function handleDeviceEvent(eventData) {
 
     mem.lastEventTime = nowMs;
 
-    let hvacChanged = false, fanChanged = false, modeChanged = false, telemetryChanged = false, setpointChanged = false;
+    let hvacChanged = false, fanChanged = false, modeChanged = false, telemetryChanged = false, setpointChanged = false, modeLearned = false;
 
     if (tHvac && tHvac.status) {
       const newStatus = tHvac.status;
       if (mem.equipmentStatus !== newStatus) {
-        console.log('[HVAC] ' + deviceKey + ' equipment status: ' + mem.equipmentStatus + ' -> ' + newStatus);
+        log.info('Equipment status changed', { device_key: deviceKey, from: mem.equipmentStatus, to: newStatus });
         mem.equipmentStatus = newStatus;
         hvacChanged = true;
       }
@@ -301,17 +543,23 @@ async function handleDeviceEvent(eventData) {
     if (tFan && tFan.timerMode !== undefined) {
       const newFanState = tFan.timerMode === 'ON';
       if (mem.isFanTimerOn !== newFanState) {
-        console.log('[FAN] ' + deviceKey + ' fan timer: ' + mem.isFanTimerOn + ' -> ' + newFanState);
+        log.info('Fan timer changed', { device_key: deviceKey, from: mem.isFanTimerOn, to: newFanState });
         mem.isFanTimerOn = newFanState;
         fanChanged = true;
+        if (!newFanState) await clearScheduledFanRun(deviceKey);
       }
     }
 
     if (tMode && tMode.mode) {
       const rawMode = tMode.mode;
       const mappedMode = mapNestModeToStandard(rawMode);
-      if (mem.thermostatMode !== rawMode) {
-        console.log('[MODE] ' + deviceKey + ' mode: ' + mem.thermostatMode + ' -> ' + rawMode + ' (mapped: ' + mappedMode + ')');
+      if (mem.thermostatMode === null) {
+        // Legacy row without last_mode: learn the mode, it didn't change
+        mem.thermostatMode = rawMode;
+        mem.thermostatModeMapped = mappedMode;
+        modeLearned = true;
+      } else if (mem.thermostatMode !== rawMode) {
+        log.info('Thermostat mode changed', { device_key: deviceKey, from: mem.thermostatMode, to: rawMode, mapped: mappedMode });
         mem.thermostatMode = rawMode;
         mem.thermostatModeMapped = mappedMode;
         modeChanged = true;
@@ -324,13 +572,13 @@ async function handleDeviceEvent(eventData) {
       mem.lastTemperatureC = tempC;
       mem.lastTemperatureF = tempF;
       telemetryChanged = true;
-      console.log('[TEMP] ' + deviceKey + ' temperature: ' + tempF + '°F');
+      log.debug('Temperature', { device_key: deviceKey, temperature_f: tempF });
     }
 
     if (tHumidity && typeof tHumidity.ambientHumidityPercent === 'number') {
       mem.lastHumidity = tHumidity.ambientHumidityPercent;
       telemetryChanged = true;
-      console.log('[HUMIDITY] ' + deviceKey + ' humidity: ' + mem.lastHumidity + '%');
+      log.debug('Humidity', { device_key: deviceKey, humidity: mem.lastHumidity });
     }
 
     if (tSetpoint) {
@@ -339,7 +587,7 @@ async function handleDeviceEvent(eventData) {
         if (mem.lastHeatSetpoint !== newHeat) {
           mem.lastHeatSetpoint = newHeat;
           setpointChanged = true;
-          console.log('[SETPOINT] ' + deviceKey + ' heat setpoint: ' + newHeat + '°F');
+          log.info('Heat setpoint changed', { device_key: deviceKey, heat_setpoint_f: newHeat });
         }
       }
       if (typeof tSetpoint.coolCelsius === 'number') {
@@ -347,112 +595,271 @@ async function handleDeviceEvent(eventData) {
         if (mem.lastCoolSetpoint !== newCool) {
           mem.lastCoolSetpoint = newCool;
           setpointChanged = true;
-          console.log('[SETPOINT] ' + deviceKey + ' cool setpoint: ' + newCool + '°F');
+          log.info('Cool setpoint changed', { device_key: deviceKey, cool_setpoint_f: newCool });
         }
       }
     }
 
-    if (telemetryChanged) await handleTelemetryUpdate(deviceKey, mem.lastTemperatureF, mem.lastTemperatureC, mem.lastHumidity);
+    if (hvacChanged || fanChanged || modeChanged || modeLearned || setpointChanged) await persistDeviceState(deviceKey, mem);
+    if (telemetryChanged) await handleTelemetryUpdate(deviceKey, mem.lastTemperatureF, mem.lastTemperatureC, mem.lastHumidity, now, receivedAt);
 
     const state = classifyCurrentState(mem);
     const isActiveNow = state.isActive;
-    const wasActive = mem.running;
+
+    // Close out a pending fan tail if it has run its course or a new cycle is starting
+    if (mem.fanTailUntil) {
+      const fanTailUntilMs = mem.fanTailUntil.getTime();
+      if (nowMs >= fanTailUntilMs) {
+        log.info('Fan tail elapsed before this event, closing session', { device_key: deviceKey });
+        await finishFanTail({ deviceKey, userId, deviceName, mem, endedAt: mem.fanTailUntil, receivedAt, eventData });
+      } else if (isActiveNow) {
+        log.info('New cycle started inside fan tail, cancelling tail', { device_key: deviceKey });
+        await finishFanTail({ deviceKey, userId, deviceName, mem, endedAt: now, receivedAt, eventData });
+      }
+    }
+
+    // A session in its fan tail is still open but the HVAC cycle itself is over
+    const wasActive = mem.running && !mem.fanTailUntil;
     const prevStateLabel = mem.currentStateLabel;
     const stateLabelChanged = state.stateLabel !== prevStateLabel;
 
-    console.log('\n[STATE] ' + deviceKey + ':');
-    console.log('  Current: ' + state.stateLabel + ' (' + state.equipmentStatus + ')');
-    console.log('  Previous: ' + prevStateLabel + ' (' + mem.currentEquipmentStatus + ')');
-    console.log('  Active: ' + isActiveNow + ' (was: ' + wasActive + ')');
-    console.log('  Equipment: ' + mem.equipmentStatus + ', Fan: ' + mem.isFanTimerOn);
-    console.log('  Mode: ' + mem.thermostatMode + ' -> ' + (mem.thermostatModeMapped || mapNestModeToStandard(mem.thermostatMode)));
-    console.log('  Eco Mode: ' + (mem.ecoMode || 'OFF'));
-    if (mem.customName) console.log('  Custom Name: ' + mem.customName);
-    if (mem.roomName) console.log('  Room: ' + mem.roomName);
-    if (mem.temperatureScale) console.log('  Display Units: ' + mem.temperatureScale);
-    console.log('  Changes: hvac=' + hvacChanged + ', fan=' + fanChanged + ', mode=' + modeChanged + ', telemetry=' + telemetryChanged + ', setpoint=' + setpointChanged);
+    log.debug('State', {
+      device_key: deviceKey,
+      state: state.stateLabel,
+      equipment_status: state.equipmentStatus,
+      previous_state: prevStateLabel,
+      previous_equipment_status: mem.currentEquipmentStatus,
+      active: isActiveNow,
+      was_active: wasActive,
+      hvac_status: mem.equipmentStatus,
+      fan_timer_on: mem.isFanTimerOn,
+      mode: mem.thermostatMode,
+      mode_mapped: mem.thermostatModeMapped || mapNestModeToStandard(mem.thermostatMode),
+      eco_mode: mem.ecoMode || 'OFF',
+      custom_name: mem.customName || undefined,
+      room_name: mem.roomName || undefined,
+      display_units: mem.temperatureScale || undefined,
+      changes: { hvac: hvacChanged, fan: fanChanged, mode: modeChanged, telemetry: telemetryChanged, setpoint: setpointChanged }
+    });
 
     let runtimeSeconds = null;
     if ((stateLabelChanged || (!isActiveNow && wasActive)) && mem.sessionStartedAt) {
       runtimeSeconds = Math.max(0, Math.round((nowMs - mem.sessionStartedAt.getTime()) / 1000));
-      console.log('[RUNTIME] Calculated: ' + runtimeSeconds + 's');
     }
 
     const isStateChangingEvent = hvacChanged || fanChanged;
     const mappedMode = mem.thermostatModeMapped || mapNestModeToStandard(mem.thermostatMode);
 
     if (isActiveNow && !wasActive) {
-      console.log('[ACTION] START NEW RUNTIME SESSION');
-      await startRuntimeSession({ deviceKey, userId, deviceName, mem, state, mappedMode, previousStatus: prevStateLabel, now, nowMs, eventData });
+      log.debug('Action: start new runtime session', { device_key: deviceKey });
+      await startRuntimeSession({ deviceKey, userId, deviceName, mem, state, mappedMode, previousStatus: prevStateLabel, now, nowMs, receivedAt, eventData });
+    } else if (!isActiveNow && wasActive && eventData.source === 'poll') {
+      // Pub/Sub never told us the session ended; the poll only shows that it has by now
+      log.debug('Action: reconcile missed session end', { device_key: deviceKey });
+      await reconcileSessionEnd({ deviceKey, userId, deviceName, mem, previousStatus: prevStateLabel, mappedMode, observedIdleAt: now, receivedAt, eventData, reason: 'poll_idle' });
     } else if (!isActiveNow && wasActive) {
-      console.log('[ACTION] END RUNTIME SESSION');
-      await endRuntimeSession({ deviceKey, userId, deviceName, mem, state, previousStatus: prevStateLabel, runtimeSeconds, mappedMode, now, eventData });
+      if (hasFanTail(prevStateLabel)) {
+        log.debug('Action: start fan tail', { device_key: deviceKey });
+        await startFanTail({ deviceKey, userId, mem, previousStatus: prevStateLabel, now, nowMs });
+      } else {
+        log.debug('Action: end runtime session', { device_key: deviceKey, runtime_seconds: runtimeSeconds });
+        await endRuntimeSession({ deviceKey, userId, deviceName, mem, state, previousStatus: prevStateLabel, runtimeSeconds, mappedMode, now, receivedAt, eventData });
+      }
     } else if (isActiveNow && stateLabelChanged) {
-      console.log('[ACTION] MODE SWITCH');
-      await modeSwitchSession({ deviceKey, userId, deviceName, mem, state, previousStatus: prevStateLabel, runtimeSeconds, mappedMode, now, nowMs, eventData });
+      log.debug('Action: mode switch', { device_key: deviceKey, runtime_seconds: runtimeSeconds });
+      await modeSwitchSession({ deviceKey, userId, deviceName, mem, state, previousStatus: prevStateLabel, runtimeSeconds, mappedMode, now, nowMs, receivedAt, eventData });
     } else if (isActiveNow && wasActive) {
       await updateRuntimeSession({ deviceKey, mem, state, now });
       if (isStateChangingEvent) {
-        console.log('[ACTION] STATE CHANGE UPDATE (active)');
+        log.debug('Action: state change update (active)', { device_key: deviceKey });
         await postCoreEvent({ deviceKey, userId, deviceName, firmwareVersion: mem.firmwareVersion, serialNumber: mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: state.equipmentStatus, previousStatus: prevStateLabel, isActive: true, isReachable, runtimeSeconds: null, temperatureF: mem.lastTemperatureF, humidity: mem.lastHumidity, heatSetpoint: mem.lastHeatSetpoint, coolSetpoint: mem.lastCoolSetpoint, thermostatMode: mappedMode, observedAt: now, sourceEventId: uuidv4(), eventData, customName: mem.customName, roomName: mem.roomName });
       } else if (telemetryChanged || setpointChanged || modeChanged) {
-        console.log('[ACTION] TELEMETRY UPDATE (active)');
+        log.debug('Action: telemetry update (active)', { device_key: deviceKey });
         await postCoreEvent({ deviceKey, userId, deviceName, firmwareVersion: mem.firmwareVersion, serialNumber: mem.serialNumber, eventType: 'Telemetry_Update', equipmentStatus: state.equipmentStatus, previousStatus: prevStateLabel, isActive: true, isReachable, runtimeSeconds: null, temperatureF: mem.lastTemperatureF, humidity: mem.lastHumidity, heatSetpoint: mem.lastHeatSetpoint, coolSetpoint: mem.lastCoolSetpoint, thermostatMode: mappedMode, observedAt: now, sourceEventId: uuidv4(), eventData, customName: mem.customName, roomName: mem.roomName });
       }
     } else {
       const timeExceeded = (nowMs - mem.lastTelemetryPost) >= 900000;
       const shouldPost = (setpointChanged || modeChanged) || (telemetryChanged && timeExceeded);
       if (shouldPost) {
-        console.log('[ACTION] TELEMETRY UPDATE (idle)');
+        log.debug('Action: telemetry update (idle)', { device_key: deviceKey });
         await postCoreEvent({ deviceKey, userId, deviceName, firmwareVersion: mem.firmwareVersion, serialNumber: mem.serialNumber, eventType: 'Telemetry_Update', equipmentStatus: 'IDLE', previousStatus: prevStateLabel, isActive: false, isReachable, runtimeSeconds: null, temperatureF: mem.lastTemperatureF, humidity: mem.lastHumidity, heatSetpoint: mem.lastHeatSetpoint, coolSetpoint: mem.lastCoolSetpoint, thermostatMode: mappedMode, observedAt: now, sourceEventId: uuidv4(), eventData, customName: mem.customName, roomName: mem.roomName });
         mem.lastTelemetryPost = nowMs;
+        await persistTelemetryPostTime(deviceKey, now);
       }
     }
 
     mem.currentStateLabel = state.stateLabel;
     mem.currentEquipmentStatus = state.equipmentStatus;
+    return true;
   } catch (error) {
-    console.error('[runtimeTracker] Error handling device event:', error);
-    console.error(error.stack);
+    log.error('Error handling device event', { event_id: eventData?.eventId, err: error });
+    return false;
   }
 }
 
 async function startRuntimeSession(params) {
-  const pool = getPool();
   const sessionId = uuidv4();
   const mode = params.state.stateLabel.toLowerCase();
-  console.log('[SESSION START] ' + params.deviceKey + ' -> ' + params.state.stateLabel);
-  await pool.query('INSERT INTO runtime_sessions (device_key, session_id, mode, equipment_status, started_at, start_temperature, heat_setpoint, cool_setpoint, tick_count, last_tick_at, created_at) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,0,$5,NOW())', [params.deviceKey, sessionId, mode, params.state.equipmentStatus, params.now, params.mem.lastTemperatureF, params.mem.lastHeatSetpoint, params.mem.lastCoolSetpoint]);
-  await pool.query('UPDATE device_status SET is_running = TRUE, session_started_at = $2, current_mode = $3, current_equipment_status = $4, last_heat_setpoint = COALESCE($5, last_heat_setpoint), last_cool_setpoint = COALESCE($6, last_cool_setpoint), updated_at = $2 WHERE device_key = $1', [params.deviceKey, params.now, mode, params.state.equipmentStatus, params.mem.lastHeatSetpoint, params.mem.lastCoolSetpoint]);
-  params.mem.running = true;
-  params.mem.sessionId = sessionId;
-  params.mem.sessionStartedAt = params.now;
-  await postCoreEvent({ deviceKey: params.deviceKey, userId: params.userId, deviceName: params.deviceName, firmwareVersion: params.mem.firmwareVersion, serialNumber: params.mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: params.state.equipmentStatus, previousStatus: params.previousStatus, isActive: true, isReachable: params.mem.isReachable, runtimeSeconds: undefined, temperatureF: params.mem.lastTemperatureF, humidity: params.mem.lastHumidity, heatSetpoint: params.mem.lastHeatSetpoint, coolSetpoint: params.mem.lastCoolSetpoint, thermostatMode: params.mappedMode, observedAt: params.now, sourceEventId: uuidv4(), eventData: params.eventData, customName: params.mem.customName, roomName: params.mem.roomName });
+  const triggerSource = await resolveTriggerSource(params.deviceKey, mode, params.now);
+  log.info('Session started', { device_key: params.deviceKey, session_id: sessionId, state: params.state.stateLabel });
+  metrics.sessionsStarted.inc({ mode });
+  await withOutboxTransaction(async (client) => {
+    await client.query('INSERT INTO runtime_sessions (device_key, session_id, mode, equipment_status, started_at, start_received_at, start_temperature, heat_setpoint, cool_setpoint, trigger_source, tick_count, last_tick_at, created_at) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,0,$5,NOW())', [params.deviceKey, sessionId, mode, params.state.equipmentStatus, params.now, params.receivedAt, params.mem.lastTemperatureF, params.mem.lastHeatSetpoint, params.mem.lastCoolSetpoint, triggerSource]);
+    await client.query('UPDATE device_status SET is_running = TRUE, session_started_at = $2, current_mode = $3, current_equipment_status = $4, last_heat_setpoint = COALESCE($5, last_heat_setpoint), last_cool_setpoint = COALESCE($6, last_cool_setpoint), updated_at = $2 WHERE device_key = $1', [params.deviceKey, params.now, mode, params.state.equipmentStatus, params.mem.lastHeatSetpoint, params.mem.lastCoolSetpoint]);
+    params.mem.running = true;
+    params.mem.sessionId = sessionId;
+    params.mem.sessionStartedAt = params.now;
+    await postCoreEvent({ deviceKey: params.deviceKey, userId: params.userId, deviceName: params.deviceName, firmwareVersion: params.mem.firmwareVersion, serialNumber: params.mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: params.state.equipmentStatus, previousStatus: params.previousStatus, isActive: true, isReachable: params.mem.isReachable, runtimeSeconds: undefined, temperatureF: params.mem.lastTemperatureF, humidity: params.mem.lastHumidity, heatSetpoint: params.mem.lastHeatSetpoint, coolSetpoint: params.mem.lastCoolSetpoint, thermostatMode: params.mappedMode, observedAt: params.now, sourceEventId: uuidv4(), eventData: params.eventData, customName: params.mem.customName, roomName: params.mem.roomName }, client);
+  });
 }
 
 async function endRuntimeSession(params) {
+  log.info('Session ended', { device_key: params.deviceKey, session_id: params.mem.sessionId, state: params.state.stateLabel, runtime_seconds: params.runtimeSeconds });
+  metrics.sessionsEnded.inc({ mode: (params.previousStatus || '').toLowerCase(), reason: 'idle' });
+  await withOutboxTransaction(async (client) => {
+    await client.query('UPDATE runtime_sessions SET ended_at = $2, end_received_at = $4, duration_seconds = $3, updated_at = $2 WHERE session_id = $1', [params.mem.sessionId, params.now, params.runtimeSeconds, params.receivedAt]);
+    await client.query('UPDATE device_status SET is_running = FALSE, session_started_at = NULL, last_equipment_status = current_equipment_status, current_equipment_status = $2, current_mode = $3, updated_at = $4 WHERE device_key = $1', [params.deviceKey, 'IDLE', 'off', params.now]);
+    params.mem.running = false;
+    params.mem.sessionId = null;
+    params.mem.sessionStartedAt = null;
+    await postCoreEvent({ deviceKey: params.deviceKey, userId: params.userId, deviceName: params.deviceName, firmwareVersion: params.mem.firmwareVersion, serialNumber: params.mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: 'IDLE', previousStatus: params.previousStatus, isActive: false, isReachable: params.mem.isReachable, runtimeSeconds: params.runtimeSeconds, temperatureF: params.mem.lastTemperatureF, humidity: params.mem.lastHumidity, heatSetpoint: params.mem.lastHeatSetpoint, coolSetpoint: params.mem.lastCoolSetpoint, thermostatMode: params.mappedMode, observedAt: params.now, sourceEventId: uuidv4(), eventData: params.eventData, customName: params.mem.customName, roomName: params.mem.roomName }, client);
+  });
+  await updateFilterUsage(params.deviceKey);
+}
+
+/**
+ * Closes a session whose end transition was missed, at an end time estimated
+ * from the evidence recorded during the session (see estimateSessionEnd).
+ * The blower tail is added when configured, never past observedIdleAt. The
+ * session is marked is_estimated with the reason and the evidence used.
+ */
+async function reconcileSessionEnd(params) {
+  const mem = params.mem;
+  const startedAt = mem.sessionStartedAt;
+  const estimate = await estimateSessionEnd({ sessionId: mem.sessionId, deviceKey: params.deviceKey, startedAt, observedIdleAt: params.observedIdleAt });
+
+  const tailMs = hasFanTail(params.previousStatus) ? Math.min(LAST_FAN_TAIL_SECONDS * 1000, params.observedIdleAt.getTime() - estimate.endedAt.getTime()) : 0;
+  const endedAt = new Date(estimate.endedAt.getTime() + tailMs);
+  const runtimeSeconds = Math.max(0, Math.round((endedAt.getTime() - startedAt.getTime()) / 1000));
+  const fanTailSeconds = Math.round(tailMs / 1000);
+  const sessionId = mem.sessionId;
+
+  metrics.sessionsEnded.inc({ mode: (params.previousStatus || '').toLowerCase(), reason: params.reason });
+  log.info('Session reconciled', { device_key: params.deviceKey, reason: params.reason, ended_at: endedAt, end_evidence: estimate.evidence, runtime_seconds: runtimeSeconds, observed_runtime_seconds: Math.round((params.observedIdleAt.getTime() - startedAt.getTime()) / 1000) });
+  await withOutboxTransaction(async (client) => {
+    await client.query('UPDATE runtime_sessions SET ended_at = $2, end_received_at = $3, duration_seconds = $4, fan_tail_seconds = $5, is_estimated = TRUE, reconciliation_reason = $6, end_evidence = $7, updated_at = NOW() WHERE session_id = $1', [sessionId, endedAt, params.receivedAt, runtimeSeconds, fanTailSeconds, params.reason, estimate.evidence]);
+    await client.query('UPDATE device_status SET is_running = FALSE, session_started_at = NULL, last_fan_tail_until = NULL, last_equipment_status = current_equipment_status, current_equipment_status = $2, current_mode = $3, updated_at = $4 WHERE device_key = $1', [params.deviceKey, 'IDLE', 'off', params.observedIdleAt]);
+    mem.running = false;
+    mem.sessionId = null;
+    mem.sessionStartedAt = null;
+
+    const mappedMode = params.mappedMode || mem.thermostatModeMapped || mapNestModeToStandard(mem.thermostatMode);
+    await postCoreEvent({ deviceKey: params.deviceKey, userId: params.userId, deviceName: params.deviceName, firmwareVersion: mem.firmwareVersion, serialNumber: mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: 'IDLE', previousStatus: params.previousStatus, isActive: false, isReachable: mem.isReachable, runtimeSeconds, temperatureF: mem.lastTemperatureF, humidity: mem.lastHumidity, heatSetpoint: mem.lastHeatSetpoint, coolSetpoint: mem.lastCoolSetpoint, thermostatMode: mappedMode, observedAt: endedAt, sourceEventId: uuidv4(), eventData: params.eventData, customName: mem.customName, roomName: mem.roomName, extraFields: { runtime_estimated: true, reconciliation_reason: params.reason, end_evidence: estimate.evidence } }, client);
+  });
+  await updateFilterUsage(params.deviceKey);
+}
+
+/**
+ * Keeps the session open after a heat/cool cycle ends so the blower's
+ * LAST_FAN_TAIL_SECONDS run-on is counted as runtime. The tail is persisted in
+ * device_status.last_fan_tail_until so it survives restarts.
+ */
+async function startFanTail(params) {
   const pool = getPool();
-  console.log('[SESSION END] ' + params.deviceKey + ' -> ' + params.state.stateLabel + ', runtime=' + params.runtimeSeconds + 's');
-  await pool.query('UPDATE runtime_sessions SET ended_at = $2, duration_seconds = $3, updated_at = $2 WHERE session_id = $1', [params.mem.sessionId, params.now, params.runtimeSeconds]);
-  await pool.query('UPDATE device_status SET is_running = FALSE, session_started_at = NULL, last_equipment_status = current_equipment_status, current_equipment_status = $2, current_mode = $3, updated_at = $4 WHERE device_key = $1', [params.deviceKey, 'IDLE', 'off', params.now]);
-  params.mem.running = false;
-  params.mem.sessionId = null;
-  params.mem.sessionStartedAt = null;
-  await postCoreEvent({ deviceKey: params.deviceKey, userId: params.userId, deviceName: params.deviceName, firmwareVersion: params.mem.firmwareVersion, serialNumber: params.mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: 'IDLE', previousStatus: params.previousStatus, isActive: false, isReachable: params.mem.isReachable, runtimeSeconds: params.runtimeSeconds, temperatureF: params.mem.lastTemperatureF, humidity: params.mem.lastHumidity, heatSetpoint: params.mem.lastHeatSetpoint, coolSetpoint: params.mem.lastCoolSetpoint, thermostatMode: params.mappedMode, observedAt: params.now, sourceEventId: uuidv4(), eventData: params.eventData, customName: params.mem.customName, roomName: params.mem.roomName });
+  const fanTailUntil = new Date(params.nowMs + LAST_FAN_TAIL_SECONDS * 1000);
+  log.info('Fan tail started', { device_key: params.deviceKey, previous_status: params.previousStatus, fan_tail_until: fanTailUntil });
+  await pool.query('UPDATE device_status SET last_fan_tail_until = $2, updated_at = $3 WHERE device_key = $1', [params.deviceKey, fanTailUntil, params.now]);
+  params.mem.fanTailUntil = fanTailUntil;
+  params.mem.fanTailStartedAt = params.now;
+  params.mem.fanTailStateLabel = params.previousStatus;
+  params.mem.fanTailEquipmentStatus = params.mem.currentEquipmentStatus;
+  scheduleFanTailEnd(params.deviceKey, fanTailUntil);
+}
+
+/**
+ * Closes the session when its fan tail runs out. The timer re-reads the device
+ * under its lock, so a tail already closed by an event (on this or another
+ * replica) is left alone.
+ */
+function scheduleFanTailEnd(deviceKey, fanTailUntil) {
+  clearFanTailTimer(deviceKey);
+  const delayMs = Math.max(0, fanTailUntil.getTime() - Date.now());
+  const timer = setTimeout(() => {
+    fanTailTimers.delete(deviceKey);
+    // Timers fire outside any event, so each gets its own correlation ID
+    withCorrelationId(newCorrelationId(), () => withDeviceLock(deviceKey, async () => {
+      const mem = await loadDeviceMemory(deviceKey);
+      if (!mem || !mem.fanTailUntil) return;
+      if (mem.fanTailUntil.getTime() > Date.now()) {
+        scheduleFanTailEnd(deviceKey, mem.fanTailUntil);
+        return;
+      }
+      await finishFanTail({ deviceKey, userId: mem.frontendId, deviceName: mem.deviceName, mem, endedAt: mem.fanTailUntil });
+    })).catch(err => log.error('Error finishing fan tail', { device_key: deviceKey, err }));
+  }, delayMs);
+  if (timer.unref) timer.unref();
+  fanTailTimers.set(deviceKey, timer);
+}
+
+function clearFanTailTimer(deviceKey) {
+  const timer = fanTailTimers.get(deviceKey);
+  if (timer) {
+    clearTimeout(timer);
+    fanTailTimers.delete(deviceKey);
+  }
+}
+
+/**
+ * Closes a session that was waiting out its fan tail. endedAt is the tail
+ * deadline, or the start of a new cycle when the tail is cut short.
+ */
+async function finishFanTail(params) {
+  const mem = params.mem;
+  if (!mem.fanTailUntil) return;
+  const endedAt = params.endedAt;
+  const fanTailStartedAt = mem.fanTailStartedAt || endedAt;
+  const previousStatus = mem.fanTailStateLabel || 'Fan_off';
+  const sessionId = mem.sessionId;
+  const runtimeSeconds = mem.sessionStartedAt ? Math.max(0, Math.round((endedAt.getTime() - mem.sessionStartedAt.getTime()) / 1000)) : 0;
+  const fanTailSeconds = Math.max(0, Math.round((endedAt.getTime() - fanTailStartedAt.getTime()) / 1000));
+
+  clearFanTailTimer(params.deviceKey);
+  mem.fanTailUntil = null;
+  mem.fanTailStartedAt = null;
+  mem.fanTailStateLabel = null;
+  mem.fanTailEquipmentStatus = null;
+  mem.running = false;
+  mem.sessionId = null;
+  mem.sessionStartedAt = null;
+
+  log.info('Session ended after fan tail', { device_key: params.deviceKey, previous_status: previousStatus, fan_tail_seconds: fanTailSeconds, runtime_seconds: runtimeSeconds });
+  metrics.sessionsEnded.inc({ mode: previousStatus.toLowerCase(), reason: 'fan_tail' });
+  await withOutboxTransaction(async (client) => {
+    await client.query('UPDATE runtime_sessions SET ended_at = $2, end_received_at = $5, duration_seconds = $3, fan_tail_seconds = $4, updated_at = $2 WHERE session_id = $1', [sessionId, endedAt, runtimeSeconds, fanTailSeconds, params.receivedAt || new Date()]);
+    await client.query('UPDATE device_status SET is_running = FALSE, session_started_at = NULL, last_fan_tail_until = NULL, last_equipment_status = current_equipment_status, current_equipment_status = $2, current_mode = $3, updated_at = $4 WHERE device_key = $1', [params.deviceKey, 'IDLE', 'off', endedAt]);
+    const mappedMode = mem.thermostatModeMapped || mapNestModeToStandard(mem.thermostatMode);
+    await postCoreEvent({ deviceKey: params.deviceKey, userId: params.userId, deviceName: params.deviceName, firmwareVersion: mem.firmwareVersion, serialNumber: mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: 'IDLE', previousStatus, isActive: false, isReachable: mem.isReachable, runtimeSeconds, temperatureF: mem.lastTemperatureF, humidity: mem.lastHumidity, heatSetpoint: mem.lastHeatSetpoint, coolSetpoint: mem.lastCoolSetpoint, thermostatMode: mappedMode, observedAt: endedAt, sourceEventId: uuidv4(), eventData: params.eventData, customName: mem.customName, roomName: mem.roomName }, client);
+  });
+  await updateFilterUsage(params.deviceKey);
 }
 
 async function modeSwitchSession(params) {
-  const pool = getPool();
   const oldSessionId = params.mem.sessionId;
   const newSessionId = uuidv4();
-  console.log('[MODE SWITCH] ' + params.deviceKey + ' ' + params.previousStatus + ' -> ' + params.state.stateLabel + ', runtime=' + params.runtimeSeconds + 's');
-  await pool.query('UPDATE runtime_sessions SET ended_at = $2, duration_seconds = $3, updated_at = $2 WHERE session_id = $1', [oldSessionId, params.now, params.runtimeSeconds]);
+  log.info('Mode switch', { device_key: params.deviceKey, from: params.previousStatus, to: params.state.stateLabel, runtime_seconds: params.runtimeSeconds });
   const mode = params.state.stateLabel.toLowerCase();
-  await pool.query('INSERT INTO runtime_sessions (device_key, session_id, mode, equipment_status, started_at, start_temperature, heat_setpoint, cool_setpoint, tick_count, last_tick_at, created_at) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,0,$5,NOW())', [params.deviceKey, newSessionId, mode, params.state.equipmentStatus, params.now, params.mem.lastTemperatureF, params.mem.lastHeatSetpoint, params.mem.lastCoolSetpoint]);
-  await pool.query('UPDATE device_status SET current_mode = $2, current_equipment_status = $3, session_started_at = $4, updated_at = $4 WHERE device_key = $1', [params.deviceKey, mode, params.state.equipmentStatus, params.now]);
-  params.mem.sessionId = newSessionId;
-  params.mem.sessionStartedAt = params.now;
-  await postCoreEvent({ deviceKey: params.deviceKey, userId: params.userId, deviceName: params.deviceName, firmwareVersion: params.mem.firmwareVersion, serialNumber: params.mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: params.state.equipmentStatus, previousStatus: params.previousStatus, isActive: true, isReachable: params.mem.isReachable, runtimeSeconds: params.runtimeSeconds, temperatureF: params.mem.lastTemperatureF, humidity: params.mem.lastHumidity, heatSetpoint: params.mem.lastHeatSetpoint, coolSetpoint: params.mem.lastCoolSetpoint, thermostatMode: params.mappedMode, observedAt: params.now, sourceEventId: uuidv4(), eventData: params.eventData, customName: params.mem.customName, roomName: params.mem.roomName });
+  metrics.sessionsEnded.inc({ mode: (params.previousStatus || '').toLowerCase(), reason: 'mode_switch' });
+  metrics.sessionsStarted.inc({ mode });
+  const triggerSource = await resolveTriggerSource(params.deviceKey, mode, params.now);
+  await withOutboxTransaction(async (client) => {
+    await client.query('UPDATE runtime_sessions SET ended_at = $2, end_received_at = $4, duration_seconds = $3, updated_at = $2 WHERE session_id = $1', [oldSessionId, params.now, params.runtimeSeconds, params.receivedAt]);
+    await client.query('INSERT INTO runtime_sessions (device_key, session_id, mode, equipment_status, started_at, start_received_at, start_temperature, heat_setpoint, cool_setpoint, trigger_source, tick_count, last_tick_at, created_at) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,0,$5,NOW())', [params.deviceKey, newSessionId, mode, params.state.equipmentStatus, params.now, params.receivedAt, params.mem.lastTemperatureF, params.mem.lastHeatSetpoint, params.mem.lastCoolSetpoint, triggerSource]);
+    await client.query('UPDATE device_status SET current_mode = $2, current_equipment_status = $3, session_started_at = $4, updated_at = $4 WHERE device_key = $1', [params.deviceKey, mode, params.state.equipmentStatus, params.now]);
+    params.mem.sessionId = newSessionId;
+    params.mem.sessionStartedAt = params.now;
+    await postCoreEvent({ deviceKey: params.deviceKey, userId: params.userId, deviceName: params.deviceName, firmwareVersion: params.mem.firmwareVersion, serialNumber: params.mem.serialNumber, eventType: 'Mode_Change', equipmentStatus: params.state.equipmentStatus, previousStatus: params.previousStatus, isActive: true, isReachable: params.mem.isReachable, runtimeSeconds: params.runtimeSeconds, temperatureF: params.mem.lastTemperatureF, humidity: params.mem.lastHumidity, heatSetpoint: params.mem.lastHeatSetpoint, coolSetpoint: params.mem.lastCoolSetpoint, thermostatMode: params.mappedMode, observedAt: params.now, sourceEventId: uuidv4(), eventData: params.eventData, customName: params.mem.customName, roomName: params.mem.roomName }, client);
+  });
+  await updateFilterUsage(params.deviceKey);
 }
 
 async function updateRuntimeSession(params) {
@@ -461,11 +868,11 @@ async function updateRuntimeSession(params) {
     await pool.query('UPDATE runtime_sessions SET tick_count = tick_count + 1, last_tick_at = $2, heat_setpoint = COALESCE($3, heat_setpoint), cool_setpoint = COALESCE($4, cool_setpoint), updated_at = $2 WHERE session_id = $1', [params.mem.sessionId, params.now, params.mem.lastHeatSetpoint, params.mem.lastCoolSetpoint]);
     await pool.query('UPDATE device_status SET current_equipment_status = $2, last_heat_setpoint = COALESCE($3, last_heat_setpoint), last_cool_setpoint = COALESCE($4, last_cool_setpoint), updated_at = NOW() WHERE device_key = $1', [params.deviceKey, params.state.equipmentStatus, params.mem.lastHeatSetpoint, params.mem.lastCoolSetpoint]);
   } catch (error) {
-    console.error('[runtimeTracker] Error updating runtime session:', error);
+    log.error('Error updating runtime session', { device_key: params.deviceKey, err: error });
   }
 }
 
-async function handleTelemetryUpdate(deviceKey, tempF, tempC, humidity) {
+async function handleTelemetryUpdate(deviceKey, tempF, tempC, humidity, observedAt, receivedAt) {
   const pool = getPool();
   try {
     const updates = [];
@@ -478,10 +885,10 @@ async function handleTelemetryUpdate(deviceKey, tempF, tempC, humidity) {
       await pool.query('UPDATE device_status SET ' + updates.join(', ') + ' WHERE device_key = $1', params);
     }
     if (tempF !== null) {
-      await pool.query('INSERT INTO temp_readings (device_key, temperature, units, event_type, session_id, recorded_at, created_at) VALUES ($1, $2, $3, $4, (SELECT session_id FROM runtime_sessions WHERE device_key = $1 AND ended_at IS NULL LIMIT 1), NOW(), NOW())', [deviceKey, tempF, 'F', 'temperature_update']);
+      await pool.query('INSERT INTO temp_readings (device_key, temperature, units, event_type, session_id, recorded_at, received_at, created_at) VALUES ($1, $2, $3, $4, (SELECT session_id FROM runtime_sessions WHERE device_key = $1 AND ended_at IS NULL LIMIT 1), $5, $6, NOW())', [deviceKey, tempF, 'F', 'temperature_update', observedAt, receivedAt]);
     }
   } catch (error) {
-    console.error('[runtimeTracker] Error handling telemetry update:', error);
+    log.error('Error handling telemetry update', { device_key: deviceKey, err: error });
   }
 }
 
@@ -542,18 +949,18 @@ async function updateDeviceMetadata(deviceKey, metadata) {
       updates.push('updated_at = NOW()');
       try {
         await pool.query('UPDATE device_status SET ' + updates.join(', ') + ' WHERE device_key = $1', params);
-        console.log(`[METADATA] ✅ Successfully saved metadata to database for ${deviceKey}`);
+        log.debug('Saved metadata', { device_key: deviceKey });
       } catch (dbError) {
-        console.error(`[METADATA] ❌ Failed to save metadata to database for ${deviceKey}:`, dbError.message);
+        log.error('Failed to save metadata', { device_key: deviceKey, err: dbError });
         if (dbError.message.includes('column') && dbError.message.includes('does not exist')) {
-          console.error(`[METADATA] ⚠️  Database column missing! Run migration: npm run migrate`);
+          log.error('Database column missing! Run migration: npm run migrate');
         }
         throw dbError;
       }
     }
   } catch (error) {
-    console.error('[runtimeTracker] Error updating device metadata:', error);
+    log.error('Error updating device metadata', { device_key: deviceKey, err: error });
   }
 }
 
-module.exports = { handleDeviceEvent, recoverActiveSessions, deviceMemory };
+module.exports = { handleDeviceEvent, restoreDeviceMemory };
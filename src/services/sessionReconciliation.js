@@ -0,0 +1,96 @@
+'use strict';
+
+const { getPool } = require('../database/db');
+
+// Smallest swing (°F) from the session's start temperature that counts as a trend
+const TREND_MIN_DELTA_F = parseFloat(process.env.RECONCILE_TREND_MIN_DELTA_F || '0.3');
+const TYPICAL_SAMPLE_SIZE = 20;
+
+/**
+ * Heating pushes the temperature up and cooling pulls it down; once the
+ * equipment stops, the trend reverses. Returns the time of the last reading at
+ * the session's extreme, provided a later reading shows the reversal.
+ */
+function findTrendReversal(readings, startTemperature, direction) {
+  if (readings.length < 2) return null;
+
+  let extremeIndex = 0;
+  readings.forEach((reading, i) => {
+    if (direction * (reading.temperature - readings[extremeIndex].temperature) >= 0) extremeIndex = i;
+  });
+
+  const extreme = readings[extremeIndex];
+  const reversed = readings.slice(extremeIndex + 1).some((r) => direction * (extreme.temperature - r.temperature) > 0);
+  const baseline = startTemperature ?? readings[0].temperature;
+  if (!reversed || direction * (extreme.temperature - baseline) < TREND_MIN_DELTA_F) return null;
+
+  return new Date(extreme.recorded_at);
+}
+
+function trendDirection(mode) {
+  if (/^(heating|auxheat)/.test(mode)) return 1;
+  if (/^cooling/.test(mode)) return -1;
+  return 0;
+}
+
+/**
+ * Estimates when a session really ended after its end transition was missed.
+ * Evidence, best first:
+ * - temperature_trend: readings during the session peaked (heat) or bottomed out (cool)
+ * - last_event: the last event received while the session was open
+ * - typical_duration: median of the device's recent measured sessions in the same mode
+ * - none: nothing to go on, the session is closed at its start
+ * The estimate always falls between the session start and observedIdleAt, the
+ * first time the device was seen idle.
+ */
+async function estimateSessionEnd({ sessionId, deviceKey, startedAt, observedIdleAt }) {
+  const pool = getPool();
+  const startMs = new Date(startedAt).getTime();
+  const clamp = (date) => new Date(Math.min(Math.max(date.getTime(), startMs), observedIdleAt.getTime()));
+
+  const sessionResult = await pool.query(
+    'SELECT mode, started_at, start_temperature, last_tick_at FROM runtime_sessions WHERE session_id = $1',
+    [sessionId]
+  );
+  const session = sessionResult.rows[0];
+  if (!session) return { endedAt: new Date(startMs), evidence: 'none' };
+  const sessionStartMs = new Date(session.started_at || startedAt).getTime();
+
+  const direction = trendDirection(session.mode || '');
+  if (direction !== 0) {
+    const readingsResult = await pool.query(
+      `SELECT temperature::FLOAT AS temperature, recorded_at FROM temp_readings
+       WHERE session_id = $1 AND recorded_at >= $2 AND recorded_at <= $3
+       ORDER BY recorded_at`,
+      [sessionId, new Date(startMs), observedIdleAt]
+    );
+    const startTemperature = session.start_temperature === null ? null : parseFloat(session.start_temperature);
+    const trendEnd = findTrendReversal(readingsResult.rows, startTemperature, direction);
+    if (trendEnd) return { endedAt: clamp(trendEnd), evidence: 'temperature_trend' };
+  }
+
+  // last_tick_at starts out equal to started_at, so only a later value is an event
+  if (session.last_tick_at && new Date(session.last_tick_at).getTime() > sessionStartMs) {
+    return { endedAt: clamp(new Date(session.last_tick_at)), evidence: 'last_event' };
+  }
+
+  const typicalResult = await pool.query(
+    `SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY duration_seconds) AS median_seconds
+     FROM (
+       SELECT duration_seconds FROM runtime_sessions
+       WHERE device_key = $1 AND mode = $2 AND ended_at IS NOT NULL
+         AND NOT is_estimated AND duration_seconds > 0
+       ORDER BY ended_at DESC
+       LIMIT ${TYPICAL_SAMPLE_SIZE}
+     ) recent`,
+    [deviceKey, session.mode]
+  );
+  const medianSeconds = typicalResult.rows[0]?.median_seconds;
+  if (medianSeconds) {
+    return { endedAt: clamp(new Date(startMs + medianSeconds * 1000)), evidence: 'typical_duration' };
+  }
+
+  return { endedAt: new Date(startMs), evidence: 'none' };
+}
+
+module.exports = { estimateSessionEnd, findTrendReversal };
@@ -0,0 +1,272 @@
+'use strict';
+
+const { google } = require('googleapis');
+const { getPool } = require('../database/db');
+const { getOAuthClientForUser } = require('./nestPoller');
+const { TOKEN_STATUS, classifyTokenError, recordTokenFailure } = require('./tokenHealth');
+
+const smartdevicemanagement = google.smartdevicemanagement('v1');
+
+const COMMAND_PREFIX = 'sdm.devices.commands.';
+const HEAT_RANGE_C = [9, 32];
+const COOL_RANGE_C = [10, 32];
+const MIN_RANGE_GAP_C = 1.5;
+const MAX_FAN_TIMER_SECONDS = 12 * 60 * 60;
+
+class CommandError extends Error {
+  constructor(code, message, statusCode = 400) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// SDM (google.rpc) status codes -> our HTTP status and a hint for the caller
+const SDM_ERROR_MAP = {
+  INVALID_ARGUMENT: { statusCode: 400, hint: 'The thermostat rejected the command parameters' },
+  FAILED_PRECONDITION: { statusCode: 409, hint: 'The thermostat is not in a state that allows this command (check mode and eco)' },
+  NOT_FOUND: { statusCode: 404, hint: 'Device not found in the Nest account' },
+  PERMISSION_DENIED: { statusCode: 403, hint: 'The user has not granted access to this device' },
+  UNAUTHENTICATED: { statusCode: 401, hint: 'Nest authorization expired; the user may need to re-link their account' },
+  RESOURCE_EXHAUSTED: { statusCode: 429, hint: 'SDM rate limit reached; retry later' },
+  UNAVAILABLE: { statusCode: 503, hint: 'The thermostat or SDM API is unavailable (device may be offline)' },
+  DEADLINE_EXCEEDED: { statusCode: 504, hint: 'The thermostat did not respond in time' },
+  INTERNAL: { statusCode: 502, hint: 'SDM API internal error' }
+};
+
+function fahrenheitToCelsius(fahrenheit) {
+  return Math.round(((fahrenheit - 32) * 5 / 9) * 100) / 100;
+}
+
+/**
+ * Reads a setpoint given either in Celsius (heatCelsius) or Fahrenheit (heatF)
+ */
+function readTemperature(params, name) {
+  const celsius = params[`${name}Celsius`];
+  const fahrenheit = params[`${name}F`];
+
+  if (typeof celsius === 'number') return celsius;
+  if (typeof fahrenheit === 'number') return fahrenheitToCelsius(fahrenheit);
+  throw new CommandError('INVALID_PARAMS', `${name}Celsius or ${name}F (number) is required`);
+}
+
+function assertInRange(value, [min, max], label) {
+  if (value < min || value > max) {
+    throw new CommandError('INVALID_PARAMS', `${label} must be between ${min}°C and ${max}°C (got ${value}°C)`);
+  }
+}
+
+/**
+ * Converts an API request into an SDM command, checking parameters and,
+ * where it matters, the device's current traits (mode, eco, fan support).
+ */
+function buildCommand(command, params = {}, traits = {}) {
+  const tMode = traits['sdm.devices.traits.ThermostatMode'];
+  const tEco = traits['sdm.devices.traits.ThermostatEco'];
+  const tFan = traits['sdm.devices.traits.Fan'];
+  const currentMode = tMode?.mode;
+  const ecoOn = tEco?.mode === 'MANUAL_ECO';
+
+  const requireMode = (expected, commandName) => {
+    if (ecoOn) {
+      throw new CommandError('FAILED_PRECONDITION', `${commandName} is not allowed while eco mode is on`, 409);
+    }
+    if (currentMode && currentMode !== expected) {
+      throw new CommandError('FAILED_PRECONDITION', `${commandName} requires thermostat mode ${expected} (current: ${currentMode})`, 409);
+    }
+  };
+
+  switch (command) {
+    case 'ThermostatMode.SetMode': {
+      const mode = String(params.mode || '').toUpperCase();
+      const available = tMode?.availableModes || ['HEAT', 'COOL', 'HEATCOOL', 'OFF'];
+      if (!available.includes(mode)) {
+        throw new CommandError('INVALID_PARAMS', `mode must be one of ${available.join(', ')}`);
+      }
+      return { params: { mode } };
+    }
+
+    case 'ThermostatTemperatureSetpoint.SetHeat': {
+      const heatCelsius = readTemperature(params, 'heat');
+      assertInRange(heatCelsius, HEAT_RANGE_C, 'heat setpoint');
+      requireMode('HEAT', command);
+      return { params: { heatCelsius } };
+    }
+
+    case 'ThermostatTemperatureSetpoint.SetCool': {
+      const coolCelsius = readTemperature(params, 'cool');
+      assertInRange(coolCelsius, COOL_RANGE_C, 'cool setpoint');
+      requireMode('COOL', command);
+      return { params: { coolCelsius } };
+    }
+
+    case 'ThermostatTemperatureSetpoint.SetRange': {
+      const heatCelsius = readTemperature(params, 'heat');
+      const coolCelsius = readTemperature(params, 'cool');
+      assertInRange(heatCelsius, HEAT_RANGE_C, 'heat setpoint');
+      assertInRange(coolCelsius, COOL_RANGE_C, 'cool setpoint');
+      if (coolCelsius - heatCelsius < MIN_RANGE_GAP_C) {
+        throw new CommandError('INVALID_PARAMS', `cool setpoint must be at least ${MIN_RANGE_GAP_C}°C above heat setpoint`);
+      }
+      requireMode('HEATCOOL', command);
+      return { params: { heatCelsius, coolCelsius } };
+    }
+
+    case 'ThermostatEco.SetMode': {
+      const mode = String(params.mode || '').toUpperCase();
+      const available = tEco?.availableModes || ['MANUAL_ECO', 'OFF'];
+      if (!available.includes(mode)) {
+        throw new CommandError('INVALID_PARAMS', `mode must be one of ${available.join(', ')}`);
+      }
+      return { params: { mode } };
+    }
+
+    case 'Fan.SetTimer': {
+      if (traits && Object.keys(traits).length > 0 && !tFan) {
+        throw new CommandError('FAILED_PRECONDITION', 'This thermostat does not support fan control', 409);
+      }
+      const timerMode = String(params.timerMode || '').toUpperCase();
+      if (!['ON', 'OFF'].includes(timerMode)) {
+        throw new CommandError('INVALID_PARAMS', 'timerMode must be ON or OFF');
+      }
+      if (timerMode === 'OFF') return { params: { timerMode } };
+
+      const durationSeconds = params.durationSeconds === undefined ? 900 : parseInt(params.durationSeconds, 10);
+      if (isNaN(durationSeconds) || durationSeconds < 1 || durationSeconds > MAX_FAN_TIMER_SECONDS) {
+        throw new CommandError('INVALID_PARAMS', `durationSeconds must be between 1 and ${MAX_FAN_TIMER_SECONDS}`);
+      }
+      return { params: { timerMode, duration: `${durationSeconds}s` } };
+    }
+
+    default:
+      throw new CommandError('UNKNOWN_COMMAND', `Unsupported command: ${command}`);
+  }
+}
+
+/**
+ * Maps a googleapis error from executeCommand to a CommandError
+ */
+function mapSdmError(err) {
+  if (err.code === 'REAUTH_REQUIRED' || classifyTokenError(err) === TOKEN_STATUS.INVALID_GRANT) {
+    return new CommandError('REAUTH_REQUIRED', 'Nest authorization is no longer valid; the user must re-link their account', 401);
+  }
+
+  const sdmStatus = err.response?.data?.error?.status || err.errors?.[0]?.reason || null;
+  const message = err.response?.data?.error?.message || err.message;
+  const mapped = SDM_ERROR_MAP[sdmStatus];
+
+  if (mapped) {
+    return new CommandError(sdmStatus, `${mapped.hint}: ${message}`, mapped.statusCode);
+  }
+
+  const httpStatus = err.response?.status || err.code;
+  if (typeof httpStatus === 'number' && httpStatus >= 400 && httpStatus < 600) {
+    return new CommandError('SDM_ERROR', message, httpStatus >= 500 ? 502 : httpStatus);
+  }
+  return new CommandError('SDM_ERROR', message, 502);
+}
+
+async function recordCommand(deviceKey, command, params, requestedBy, source) {
+  const pool = getPool();
+  const result = await pool.query(
+    `INSERT INTO device_commands (device_key, command, params, status, requested_by, source, created_at)
+     VALUES ($1, $2, $3, 'pending', $4, $5, NOW())
+     RETURNING id`,
+    [deviceKey, command, JSON.stringify(params || {}), requestedBy || null, source || 'api']
+  );
+  return result.rows[0].id;
+}
+
+async function completeCommand(id, status, sdmParams, error) {
+  const pool = getPool();
+  await pool.query(
+    `UPDATE device_commands
+     SET status = $2, sdm_params = COALESCE($3, sdm_params), error_code = $4, error_message = $5, completed_at = NOW()
+     WHERE id = $1`,
+    [id, status, sdmParams ? JSON.stringify(sdmParams) : null, error?.code || null, error?.message || null]
+  );
+}
+
+/**
+ * Validates and issues an SDM executeCommand for a registered device, recording
+ * every attempt (including rejected ones) in device_commands.
+ * Throws CommandError with a statusCode suitable for the HTTP response.
+ */
+async function executeThermostatCommand({ deviceKey, command, params, requestedBy, source = 'api' }) {
+  const pool = getPool();
+  const deviceResult = await pool.query(
+    'SELECT device_key, device_name, bubble_user_id FROM device_status WHERE device_key = $1',
+    [deviceKey]
+  );
+  const device = deviceResult.rows[0];
+  if (!device) throw new CommandError('DEVICE_NOT_FOUND', 'Device not found', 404);
+  if (!device.bubble_user_id) {
+    throw new CommandError('DEVICE_NOT_REGISTERED', 'Device is not registered to a user (POST /devices/register)', 409);
+  }
+
+  const shortCommand = command.startsWith(COMMAND_PREFIX) ? command.slice(COMMAND_PREFIX.length) : command;
+  const commandId = await recordCommand(deviceKey, shortCommand, params, requestedBy, source);
+  let sdmParams = null;
+
+  try {
+    const auth = await getOAuthClientForUser(device.bubble_user_id);
+
+    // Validate against live device state rather than possibly stale memory
+    const current = await smartdevicemanagement.enterprises.devices.get({ auth, name: device.device_name });
+    const built = buildCommand(shortCommand, params, current.data.traits || {});
+    sdmParams = built.params;
+
+    console.log(`🎛️ [COMMAND] ${deviceKey} ${shortCommand} ${JSON.stringify(sdmParams)}`);
+    await smartdevicemanagement.enterprises.devices.executeCommand({
+      auth,
+      name: device.device_name,
+      requestBody: {
+        command: COMMAND_PREFIX + shortCommand,
+        params: sdmParams
+      }
+    });
+
+    await completeCommand(commandId, 'succeeded', sdmParams, null);
+    console.log(`✅ [COMMAND] ${deviceKey} ${shortCommand} succeeded`);
+    return { commandId, command: shortCommand, params: sdmParams };
+  } catch (err) {
+    // PERMISSION_DENIED here can be a single unshared device, so only grant failures count
+    const tokenStatus = err instanceof CommandError ? null : classifyTokenError(err);
+    if (tokenStatus === TOKEN_STATUS.INVALID_GRANT || tokenStatus === TOKEN_STATUS.REFRESHING) {
+      await recordTokenFailure(device.bubble_user_id, err).catch((dbErr) =>
+        console.error('[thermostatCommands] Error recording token failure:', dbErr.message)
+      );
+    }
+
+    const error = err instanceof CommandError ? err : mapSdmError(err);
+    const status = err instanceof CommandError ? 'rejected' : 'failed';
+    await completeCommand(commandId, status, sdmParams, error).catch((dbErr) =>
+      console.error('[thermostatCommands] Error recording command result:', dbErr.message)
+    );
+    console.error(`❌ [COMMAND] ${deviceKey} ${shortCommand} ${status}: [${error.code}] ${error.message}`);
+    error.commandId = commandId;
+    throw error;
+  }
+}
+
+async function listCommands(deviceKey, limit = 50, offset = 0) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT id, command, params, sdm_params, status, error_code, error_message, requested_by, source, created_at, completed_at
+     FROM device_commands
+     WHERE device_key = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [deviceKey, limit, offset]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  CommandError,
+  buildCommand,
+  executeThermostatCommand,
+  listCommands,
+  fahrenheitToCelsius
+};
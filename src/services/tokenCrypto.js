@@ -0,0 +1,189 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getPool } = require('../database/db');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const IV_BYTES = 12;
+
+let keyring = null;
+
+/**
+ * Master keys from TOKEN_ENCRYPTION_KEYS ("keyId:base64Key,keyId:base64Key").
+ * TOKEN_ENCRYPTION_KEY_ID picks the key for new writes; other keys stay
+ * available for decrypting rows that have not been rotated yet.
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  const entries = (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const sep = entry.indexOf(':');
+    if (sep <= 0) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like keyId:base64Key');
+    }
+    const keyId = entry.slice(0, sep);
+    const key = Buffer.from(entry.slice(sep + 1), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key "${keyId}" must be 32 bytes (base64 encoded)`);
+    }
+    keys.set(keyId, key);
+  }
+
+  let activeKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || null;
+  if (!activeKeyId && keys.size === 1) activeKeyId = keys.keys().next().value;
+  if (keys.size > 0 && !activeKeyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEY_ID is required when TOKEN_ENCRYPTION_KEYS has more than one key');
+  }
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${activeKeyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, activeKeyId };
+  return keyring;
+}
+
+function isTokenEncryptionEnabled() {
+  return getKeyring().activeKeyId !== null;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [FORMAT_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join('.');
+}
+
+function open(key, sealed, aad) {
+  const [version, iv, tag, ciphertext] = String(sealed).split('.');
+  if (version !== FORMAT_VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted token format');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+}
+
+/**
+ * Envelope-encrypts a user's tokens: a fresh data key encrypts both tokens and is
+ * itself wrapped with the active master key. Ciphertexts are bound to the user and
+ * field, so they can't be swapped between rows. Without configured keys the tokens
+ * are returned unchanged (key ID null).
+ */
+function encryptTokens(userId, { accessToken, refreshToken }) {
+  const { keys, activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    return { accessToken, refreshToken: refreshToken || null, keyId: null, wrappedDataKey: null };
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  return {
+    accessToken: seal(dataKey, accessToken, `${userId}:access_token`),
+    refreshToken: refreshToken ? seal(dataKey, refreshToken, `${userId}:refresh_token`) : null,
+    keyId: activeKeyId,
+    wrappedDataKey: seal(keys.get(activeKeyId), dataKey, `${userId}:data_key`)
+  };
+}
+
+/**
+ * Decrypts an oauth_tokens row; rows without a key ID are legacy plaintext
+ */
+function decryptTokens(row) {
+  if (!row.token_key_id) {
+    return { accessToken: row.access_token, refreshToken: row.refresh_token };
+  }
+
+  const key = getKeyring().keys.get(row.token_key_id);
+  if (!key) {
+    throw new Error(`Tokens for user ${row.user_id} are encrypted with unknown key "${row.token_key_id}"`);
+  }
+
+  const dataKey = open(key, row.wrapped_data_key, `${row.user_id}:data_key`);
+  return {
+    accessToken: open(dataKey, row.access_token, `${row.user_id}:access_token`).toString('utf8'),
+    refreshToken: row.refresh_token ? open(dataKey, row.refresh_token, `${row.user_id}:refresh_token`).toString('utf8') : null
+  };
+}
+
+/**
+ * Re-encrypts every row not under the active key (including legacy plaintext
+ * rows) with a new data key wrapped by the active key. Each row is locked while
+ * it is rewritten so a concurrent token refresh can't be lost.
+ */
+async function rotateTokenKeys({ batchSize = 100 } = {}) {
+  const { activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    throw new Error('Token encryption is not configured (TOKEN_ENCRYPTION_KEYS)');
+  }
+
+  const pool = getPool();
+  const stats = { rotated: 0, failed: 0 };
+  const failedUsers = [];
+
+  for (;;) {
+    const pending = await pool.query(
+      `SELECT user_id FROM oauth_tokens
+       WHERE token_key_id IS DISTINCT FROM $1 AND NOT (user_id = ANY($2::TEXT[]))
+       ORDER BY user_id
+       LIMIT $3`,
+      [activeKeyId, failedUsers, batchSize]
+    );
+    if (pending.rows.length === 0) break;
+
+    for (const { user_id: userId } of pending.rows) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await client.query(
+          'SELECT user_id, access_token, refresh_token, token_key_id, wrapped_data_key FROM oauth_tokens WHERE user_id = $1 FOR UPDATE',
+          [userId]
+        );
+        const row = result.rows[0];
+
+        if (row && row.token_key_id !== activeKeyId) {
+          const encrypted = encryptTokens(userId, decryptTokens(row));
+          await client.query(
+            `UPDATE oauth_tokens
+             SET access_token = $2, refresh_token = $3, token_key_id = $4, wrapped_data_key = $5, updated_at = NOW()
+             WHERE user_id = $1`,
+            [userId, encrypted.accessToken, encrypted.refreshToken, encrypted.keyId, encrypted.wrappedDataKey]
+          );
+          stats.rotated++;
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Failed to rotate tokens for user ${userId}:`, error.message);
+        failedUsers.push(userId);
+        stats.failed++;
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  return stats;
+}
+
+function logTokenEncryptionConfig() {
+  const { keys, activeKeyId } = getKeyring();
+  if (activeKeyId) {
+    console.log(`✓ OAuth tokens encrypted at rest (AES-256-GCM, active key: ${activeKeyId}, ${keys.size} key(s) loaded)`);
+  } else {
+    console.warn('⚠️  TOKEN_ENCRYPTION_KEYS not set - OAuth tokens are stored in plaintext');
+  }
+}
+
+module.exports = {
+  isTokenEncryptionEnabled,
+  encryptTokens,
+  decryptTokens,
+  rotateTokenKeys,
+  logTokenEncryptionConfig
+};
@@ -0,0 +1,223 @@
+'use strict';
+
+const axios = require('axios');
+const { getPool } = require('../database/db');
+const { postToCoreIngestAsync } = require('./ingestPoster');
+const { buildCorePayload } = require('./buildCorePayload');
+const { metrics } = require('./metrics');
+
+const REAUTH_WEBHOOK_URL = process.env.REAUTH_WEBHOOK_URL;
+const TOKEN_RETRY_BASE_MS = parseInt(process.env.TOKEN_RETRY_BASE_MS || String(5 * 60 * 1000), 10);
+const TOKEN_RETRY_MAX_MS = parseInt(process.env.TOKEN_RETRY_MAX_MS || String(6 * 60 * 60 * 1000), 10);
+
+/**
+ * healthy       - last API call or refresh succeeded
+ * refreshing    - refresh failed transiently; retried with exponential backoff
+ * invalid_grant - Google rejected the refresh token (expired or revoked); user must re-link
+ * revoked       - the user removed our access to their devices; user must re-link
+ */
+const TOKEN_STATUS = {
+  HEALTHY: 'healthy',
+  REFRESHING: 'refreshing',
+  INVALID_GRANT: 'invalid_grant',
+  REVOKED: 'revoked'
+};
+
+const REAUTH_STATUSES = [TOKEN_STATUS.INVALID_GRANT, TOKEN_STATUS.REVOKED];
+
+// SQL condition (on an oauth_tokens alias) for users the background jobs may call Google for
+function pollableTokenCondition(alias = 'oauth_tokens') {
+  return `(${alias}.token_status IS NULL OR ${alias}.token_status NOT IN ('invalid_grant', 'revoked'))
+    AND (${alias}.next_retry_at IS NULL OR ${alias}.next_retry_at <= NOW())`;
+}
+
+class ReauthRequiredError extends Error {
+  constructor(userId, status) {
+    super(`Nest authorization for user ${userId} is ${status}; the user must re-link their account`);
+    this.name = 'ReauthRequiredError';
+    this.code = 'REAUTH_REQUIRED';
+    this.tokenStatus = status;
+    this.statusCode = 401;
+  }
+}
+
+/**
+ * Classifies a Google API error as a token problem. Returns null for errors that
+ * say nothing about the user's grant (SDM outages, bad requests, ...).
+ */
+function classifyTokenError(error) {
+  const data = error.response?.data;
+  const oauthError = typeof data?.error === 'string' ? data.error : null;
+  const sdmStatus = data?.error?.status;
+  const message = error.message || '';
+
+  if (oauthError === 'invalid_grant' || message.includes('invalid_grant')) {
+    return TOKEN_STATUS.INVALID_GRANT;
+  }
+  if (oauthError === 'unauthorized_client' || oauthError === 'access_denied' || sdmStatus === 'PERMISSION_DENIED') {
+    return TOKEN_STATUS.REVOKED;
+  }
+
+  const isTokenEndpoint = (error.config?.url || '').includes('oauth2.googleapis.com/token');
+  if (isTokenEndpoint || error.response?.status === 401 || message.includes('Invalid Credentials')) {
+    return TOKEN_STATUS.REFRESHING;
+  }
+  return null;
+}
+
+async function recordTokenSuccess(userId, refreshed = false) {
+  const pool = getPool();
+  await pool.query(
+    `UPDATE oauth_tokens
+     SET token_status = 'healthy', failure_count = 0, next_retry_at = NULL, last_refresh_error = NULL,
+         last_refresh_at = CASE WHEN $2 THEN NOW() ELSE last_refresh_at END,
+         status_changed_at = CASE WHEN token_status IS DISTINCT FROM 'healthy' THEN NOW() ELSE status_changed_at END
+     WHERE user_id = $1 AND ($2 OR token_status IS DISTINCT FROM 'healthy' OR failure_count > 0)`,
+    [userId, refreshed]
+  );
+}
+
+/**
+ * Records a failed call for a user. Transient failures back off exponentially;
+ * dead grants stop all background calls and trigger a single re-link notification.
+ * Returns the new status, or null when the error was not token related.
+ */
+async function recordTokenFailure(userId, error) {
+  const status = classifyTokenError(error);
+  if (!status) return null;
+  metrics.tokenRefreshes.inc({ outcome: status });
+
+  const pool = getPool();
+  const errorMessage = (error.response?.data?.error_description || error.message || '').slice(0, 500);
+
+  if (status === TOKEN_STATUS.REFRESHING) {
+    const result = await pool.query(
+      `UPDATE oauth_tokens
+       SET token_status = 'refreshing', failure_count = failure_count + 1, last_refresh_error = $2,
+           status_changed_at = CASE WHEN token_status IS DISTINCT FROM 'refreshing' THEN NOW() ELSE status_changed_at END
+       WHERE user_id = $1 AND (token_status IS NULL OR token_status NOT IN ('invalid_grant', 'revoked'))
+       RETURNING failure_count`,
+      [userId, errorMessage]
+    );
+    if (result.rows.length === 0) return null;
+
+    const failures = result.rows[0].failure_count;
+    const delay = Math.min(TOKEN_RETRY_MAX_MS, TOKEN_RETRY_BASE_MS * Math.pow(2, failures - 1));
+    await pool.query('UPDATE oauth_tokens SET next_retry_at = $2 WHERE user_id = $1', [userId, new Date(Date.now() + delay)]);
+    console.warn(`⚠️  Token refresh failed for user ${userId} (${failures}x), retrying in ${Math.round(delay / 60000)} min: ${errorMessage}`);
+    return status;
+  }
+
+  // Only the transition into a dead state notifies, so concurrent failures notify once
+  const result = await pool.query(
+    `UPDATE oauth_tokens
+     SET token_status = $2, failure_count = failure_count + 1, last_refresh_error = $3,
+         next_retry_at = NULL, status_changed_at = NOW(), reauth_notified_at = NULL
+     WHERE user_id = $1 AND (token_status IS NULL OR token_status NOT IN ('invalid_grant', 'revoked'))
+     RETURNING user_id`,
+    [userId, status, errorMessage]
+  );
+
+  if (result.rows.length > 0) {
+    console.error(`❌ Nest authorization for user ${userId} is ${status}; background polling stopped until the user re-links`);
+    await notifyReauthRequired(userId, status, errorMessage);
+  }
+  return status;
+}
+
+/**
+ * Tells Bubble (REAUTH_WEBHOOK_URL) and Core (one event per device) that a user must re-link
+ */
+async function notifyReauthRequired(userId, status, reason) {
+  const pool = getPool();
+
+  try {
+    const devices = await pool.query(
+      'SELECT device_key, device_name, custom_name, room_display_name, firmware_version, serial_number FROM device_status WHERE bubble_user_id = $1',
+      [userId]
+    );
+
+    for (const device of devices.rows) {
+      const payload = buildCorePayload({
+        deviceKey: device.device_key,
+        userId,
+        deviceName: device.custom_name || device.room_display_name || device.device_name,
+        firmwareVersion: device.firmware_version,
+        serialNumber: device.serial_number,
+        eventType: 'Reauth_Required',
+        observedAt: new Date(),
+        payloadRaw: { token_status: status, reason }
+      });
+      await postToCoreIngestAsync({ ...payload, token_status: status });
+    }
+  } catch (error) {
+    console.error(`[tokenHealth] Error queueing Core re-auth events for user ${userId}:`, error.message);
+  }
+
+  await sendReauthWebhook(userId, status, reason);
+}
+
+async function sendReauthWebhook(userId, status, reason) {
+  if (!REAUTH_WEBHOOK_URL) return false;
+
+  const pool = getPool();
+  try {
+    await axios.post(REAUTH_WEBHOOK_URL, {
+      event: 'nest_reauth_required',
+      user_id: userId,
+      token_status: status,
+      reason,
+      detected_at: new Date().toISOString()
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000
+    });
+
+    await pool.query('UPDATE oauth_tokens SET reauth_notified_at = NOW() WHERE user_id = $1', [userId]);
+    console.log(`📨 Re-auth notification sent for user ${userId}`);
+    return true;
+  } catch (error) {
+    console.error(`✗ Re-auth notification for user ${userId} failed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Retries re-link webhooks that failed earlier (called from the poller loop)
+ */
+async function retryReauthNotifications() {
+  if (!REAUTH_WEBHOOK_URL) return;
+
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT user_id, token_status, last_refresh_error FROM oauth_tokens
+     WHERE token_status IN ('invalid_grant', 'revoked') AND reauth_notified_at IS NULL`
+  );
+
+  for (const row of result.rows) {
+    await sendReauthWebhook(row.user_id, row.token_status, row.last_refresh_error);
+  }
+}
+
+async function getTokenHealth(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT user_id, expires_at, refresh_token IS NOT NULL AS has_refresh_token, token_status, failure_count,
+            last_refresh_at, last_refresh_error, next_retry_at, status_changed_at, reauth_notified_at
+     FROM oauth_tokens WHERE user_id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  TOKEN_STATUS,
+  REAUTH_STATUSES,
+  ReauthRequiredError,
+  pollableTokenCondition,
+  classifyTokenError,
+  recordTokenSuccess,
+  recordTokenFailure,
+  retryReauthNotifications,
+  getTokenHealth
+};